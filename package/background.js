@@ -0,0 +1,247 @@
+/**
+ * background.js
+ *
+ * The service worker for the extension. Writes workout files straight into
+ * the Zwift workouts directory chosen on the options page, on behalf of the
+ * content script, which runs in the TrainerRoad page and has no access to
+ * the extension's directory handle. Also adds the 'Download as ZWO' context
+ * menu item on workout links and handles the keyboard shortcut, by asking
+ * the content script to download the workout, or downloading it here on
+ * pages the content script doesn't run on, and uploads workouts (see
+ * upload.js), as the content script can't reach other servers.
+ */
+
+/* global importScripts, getWorkoutsDirectory, getUploadFolders,
+          uploadWorkout, getProfileOptions, getWorkoutIdFromUrl,
+          fetchWorkoutDetails, getWorkoutOptions, getEditedWorkout,
+          generateWorkoutFile, recordExport, FileFormat */
+
+importScripts('handles.js', 'upload.js', 'convert.js', 'fit.js', 'report.js',
+    'xp.js', 'xml.js', 'text.js', 'profiles.js', 'history.js', 'workouts.js');
+
+
+/**
+ * Links to TrainerRoad workout pages, for the context menu item, on any
+ * page.
+ * @type {Array<string>}
+ */
+const workoutLinkPatterns = Object.freeze([
+  'https://www.trainerroad.com/app/cycling/workouts/*',
+]);
+
+
+/**
+ * Finds a name for a new file in a directory. With the 'rename' policy, a
+ * number is added to the name if a file with that name already exists,
+ * e.g. 'Baxter (2).zwo'.
+ * @param {FileSystemDirectoryHandle} directory - The directory.
+ * @param {string} filename - The preferred file name.
+ * @param {string} existingFile - What to do with an existing file with the
+ *                                same name, 'overwrite' or 'rename'.
+ * @return {Promise<string>} - The name to use.
+ */
+async function chooseFilename(directory, filename, existingFile) {
+  /**
+   * Checks whether a file exists in the directory.
+   * @param {string} name - The file name.
+   * @return {Promise<boolean>} - True if the file exists.
+   */
+  async function fileExists(name) {
+    try {
+      await directory.getFileHandle(name);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  if (existingFile === 'overwrite' || !(await fileExists(filename))) {
+    return filename;
+  }
+  const dot = filename.lastIndexOf('.');
+  const base = dot > 0 ? filename.slice(0, dot) : filename;
+  const extension = dot > 0 ? filename.slice(dot) : '';
+  for (let count = 2; ; count++) {
+    const candidate = `${base} (${count})${extension}`;
+    if (!(await fileExists(candidate))) {
+      return candidate;
+    }
+  }
+}
+
+
+/**
+ * Writes a workout file into the Zwift workouts directory, if one was
+ * chosen and access to it is still granted. Chrome forgets the access when
+ * it restarts, and the service worker can't ask for it again, as only a
+ * page can prompt the user, in response to a click: 'Grant Access' on the
+ * options page does (see grantWorkoutsDirectory in options.js).
+ * @param {string} filename - The name of the file.
+ * @param {string} content - The content of the file.
+ * @param {string} existingFile - 'overwrite' or 'rename'.
+ * @return {Promise<Object>} - An object with the 'status': 'saved', with
+ *     the 'filename' used; 'noFolder' if no folder was chosen; 'noAccess'
+ *     if Chrome no longer allows access to it; or 'failed', with the
+ *     'reason', if the file couldn't be written, e.g. because the folder
+ *     was moved or deleted.
+ */
+async function saveWorkoutFile(filename, content, existingFile) {
+  const directory = await getWorkoutsDirectory();
+  if (!directory) {
+    return {status: 'noFolder'};
+  }
+  const permission = await directory.queryPermission({mode: 'readwrite'});
+  if (permission !== 'granted') {
+    return {status: 'noAccess'};
+  }
+  try {
+    const name = await chooseFilename(directory, filename, existingFile);
+    const fileHandle = await directory.getFileHandle(name, {create: true});
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+    return {status: 'saved', filename: name};
+  } catch (error) {
+    console.error('Error writing to the Zwift workouts folder:', error);
+    return {status: 'failed', reason: error.message};
+  }
+}
+
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message?.type) {
+    case 'saveWorkoutFile':
+      saveWorkoutFile(message.filename, message.content, message.existingFile)
+          .then(sendResponse, (error) => {
+            console.error('Error saving workout file:', error);
+            sendResponse({status: 'failed', reason: error.message});
+          });
+      return true; // The response is sent asynchronously.
+    case 'openOptionsPage':
+      // Content scripts can't open it themselves.
+      chrome.runtime.openOptionsPage();
+      return false;
+    case 'uploadWorkout':
+      uploadWorkout(message.upload)
+          .then((id) => sendResponse({uploaded: true, id}), (error) => {
+            console.error('Error uploading workout:', error);
+            sendResponse({uploaded: false, reason: error.message});
+          });
+      return true;
+    case 'getUploadFolders':
+      getUploadFolders().then((folders) => sendResponse({folders}),
+          (error) => {
+            console.error('Error getting upload folders:', error);
+            sendResponse({folders: [], reason: error.message});
+          });
+      return true;
+    default:
+      return false;
+  }
+});
+
+
+/**
+ * Makes a data URL for the content of a file, to download it with
+ * chrome.downloads, as the service worker can't make object URLs.
+ * @param {string|Uint8Array} content - The content.
+ * @return {string} - The data URL.
+ */
+function getDataUrl(content) {
+  if (typeof content === 'string') {
+    return `data:text/plain;charset=utf-8,${encodeURIComponent(content)}`;
+  }
+  const binary = Array.from(content, (byte) => String.fromCharCode(byte));
+  return `data:application/octet-stream;base64,${btoa(binary.join(''))}`;
+}
+
+
+/**
+ * Downloads a workout without the content script, for links on pages it
+ * doesn't run on. The workout is converted with the active profile (and
+ * any options or edited intervals saved for it), and ZWO files are saved
+ * to the Zwift workouts folder if possible, as by the 'ZWO' button. There
+ * is no page to show errors on, so they are only logged.
+ * @param {string} url - The URL of the workout page.
+ * @return {Promise<void>} A promise that resolves when the workout file is
+ *                         downloaded, or the download has failed.
+ */
+async function downloadWorkoutInBackground(url) {
+  try {
+    const workoutId = getWorkoutIdFromUrl(url);
+    if (!workoutId) {
+      console.warn(`${url} isn't a TrainerRoad workout.`);
+      return;
+    }
+    const options =
+        await getWorkoutOptions(workoutId, await getProfileOptions());
+    const workoutDetails = await fetchWorkoutDetails(workoutId);
+    const workout =
+        await getEditedWorkout(workoutId, workoutDetails?.Workout);
+    const date = new Date();
+    const workoutFile =
+        generateWorkoutFile(workout, options, options.format, date);
+    const response = options.format === FileFormat.ZWO ?
+      await saveWorkoutFile(workoutFile.filename, workoutFile.content,
+          options.existingFile) :
+      null;
+    if (response?.status !== 'saved') {
+      await chrome.downloads.download({
+        url: getDataUrl(workoutFile.content),
+        filename: workoutFile.filename,
+      });
+    }
+    await recordExport(workoutId, workout, options, options.format,
+        workoutFile, date);
+  } catch (error) {
+    console.error('Error downloading the workout:', error);
+  }
+}
+
+
+/**
+ * Asks the content script in a tab to download a workout. The content
+ * script fetches and converts it just as the 'ZWO' button does. If there is
+ * no content script in the tab, e.g. on a page of another site linking to
+ * the workout, or in a tab opened before the extension was installed, the
+ * workout is downloaded here instead (see downloadWorkoutInBackground).
+ * @param {number} tabId - The ID of the tab.
+ * @param {string} [url] - The URL of the workout page. Defaults to the
+ *                         page in the tab.
+ */
+async function downloadWorkoutInTab(tabId, url) {
+  try {
+    await chrome.tabs.sendMessage(tabId, {type: 'downloadWorkout', url});
+  } catch (error) {
+    if (url) {
+      await downloadWorkoutInBackground(url);
+    } else {
+      console.error('Error asking the page to download the workout:', error);
+    }
+  }
+}
+
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: 'downloadWorkout',
+    title: 'Download as ZWO',
+    contexts: ['link'],
+    targetUrlPatterns: [...workoutLinkPatterns],
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === 'downloadWorkout' && tab?.id !== undefined) {
+    downloadWorkoutInTab(tab.id, info.linkUrl);
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'download-workout' && tab?.id !== undefined) {
+    downloadWorkoutInTab(tab.id);
+  }
+});
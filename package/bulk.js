@@ -0,0 +1,284 @@
+/**
+ * bulk.js
+ *
+ * Adds an 'Export week' button to the TrainerRoad calendar, and an 'Export
+ * plan' button to training plan pages. These convert every workout scheduled
+ * in the chosen week, or in the plan, and download them as a single zip file
+ * with date-prefixed filenames.
+ */
+
+/* global getLinkedWorkoutId, fetchWorkoutDetails, getOptions,
+          getWorkoutOptions, getEditedWorkout, generateWorkoutFile,
+          downloadContentAsFile, showNotice, createZip, showErrorNotice,
+          showFailuresNotice, recordExport, observePage */
+
+
+/**
+ * The pages with bulk export, as patterns matching the URL path.
+ * @enum {RegExp}
+ */
+const BulkExportPage = Object.freeze({
+  CALENDAR: /^\/app\/calendar/,
+  PLAN: /^\/app\/(?:.*\/)?(?:training-plans|plan-builder)/,
+});
+
+
+/**
+ * Formats a date as YYYY-MM-DD, in local time.
+ * @param {Date} date - The date.
+ * @return {string} - The formatted date.
+ */
+function formatIsoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+
+/**
+ * Adds a number of days to a date.
+ * @param {string} isoDate - The date, as YYYY-MM-DD.
+ * @param {number} days - The number of days to add.
+ * @return {string} - The new date, as YYYY-MM-DD.
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return formatIsoDate(date);
+}
+
+
+/**
+ * Returns the Monday of the week containing a date.
+ * @param {string} isoDate - The date, as YYYY-MM-DD.
+ * @return {string} - The Monday, as YYYY-MM-DD.
+ */
+function getWeekStart(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00`).getDay();
+  return addDays(isoDate, -((day + 6) % 7));
+}
+
+
+/**
+ * Finds the workouts scheduled on the current page. TrainerRoad links each
+ * scheduled workout to its workout page; the date is taken from the nearest
+ * enclosing element with a 'data-date' attribute, or from a <time> element
+ * next to the link. Workouts without a recognizable date are still
+ * included, with a null date.
+ * @return {Array<Object>} - The workouts, each an object with 'id' and
+ *                           'date' (YYYY-MM-DD, or null) attributes, in page
+ *                           order and without duplicates.
+ */
+function findScheduledWorkouts() {
+  /**
+   * Finds the date of a scheduled workout.
+   * @param {HTMLAnchorElement} link - The link to the workout page.
+   * @return {string|null} - The date as YYYY-MM-DD, or null if not found.
+   */
+  function findDate(link) {
+    let date = link.closest('[data-date]')?.dataset.date;
+    // Look for a <time> element in the ancestors that contain only this
+    // workout, so that the date of another workout isn't picked up.
+    for (let element = link; !date && element?.parentElement;
+      element = element.parentElement) {
+      if (element.parentElement.querySelectorAll(
+          'a[href*="/workouts/"]').length > 1) {
+        break;
+      }
+      date = element.parentElement.querySelector('time[datetime]')
+          ?.getAttribute('datetime');
+    }
+    return date?.match(/^\d{4}-\d{2}-\d{2}/)?.[0] ?? null;
+  }
+
+  const workouts = [];
+  const seen = new Set();
+  for (const link of document.querySelectorAll('a[href*="/workouts/"]')) {
+    const id = getLinkedWorkoutId(link);
+    if (!id) {
+      continue;
+    }
+    const date = findDate(link);
+    const key = `${id} ${date}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      workouts.push({id, date});
+    }
+  }
+  return workouts;
+}
+
+
+/**
+ * Converts scheduled workouts with the current options (and any options
+ * or edited intervals saved for each workout) and downloads them as a zip
+ * file. Each filename is prefixed with the workout date, or with its
+ * position if the date isn't known. Workouts that can't be fetched or
+ * converted are skipped.
+ * @param {Array<Object>} workouts - The workouts, from findScheduledWorkouts.
+ * @param {string} zipFilename - The name of the zip file.
+ * @param {Function} [onProgress] - Called with the number of workouts done
+ *                                  so far.
+ * @return {Promise<void>} A promise that resolves when the zip file is
+ *                         downloaded.
+ */
+async function exportWorkouts(workouts, zipFilename, onProgress) {
+  const options = await getOptions();
+  const files = [];
+  const filenames = new Set();
+  const failures = [];
+
+  /**
+   * Makes a filename unique within the zip file, adding a number if needed,
+   * e.g. "2024-05-27 Baxter (2).zwo".
+   * @param {string} filename - The filename.
+   * @return {string} - The unique filename.
+   */
+  function uniqueFilename(filename) {
+    const dot = filename.lastIndexOf('.');
+    const base = dot > 0 ? filename.slice(0, dot) : filename;
+    const extension = dot > 0 ? filename.slice(dot) : '';
+    let unique = filename;
+    for (let number = 2; filenames.has(unique); number++) {
+      unique = `${base} (${number})${extension}`;
+    }
+    filenames.add(unique);
+    return unique;
+  }
+
+  for (const [index, scheduled] of workouts.entries()) {
+    try {
+      const workoutOptions = await getWorkoutOptions(scheduled.id, options);
+      const workoutDetails = await fetchWorkoutDetails(scheduled.id);
+      const workout =
+          await getEditedWorkout(scheduled.id, workoutDetails?.Workout);
+      const date = new Date();
+      const workoutFile = generateWorkoutFile(workout, workoutOptions,
+          options.format, date);
+      await recordExport(scheduled.id, workout, workoutOptions,
+          options.format, workoutFile, date);
+      const prefix = scheduled.date ?? String(index + 1).padStart(2, '0');
+      files.push({
+        filename: uniqueFilename(`${prefix} ${workoutFile.filename}`),
+        content: workoutFile.content,
+      });
+    } catch (error) {
+      failures.push({workoutId: scheduled.id, error});
+    }
+    onProgress?.(index + 1);
+  }
+
+  if (files.length > 0) {
+    downloadContentAsFile(createZip(files), zipFilename);
+  }
+  if (failures.length > 0) {
+    showFailuresNotice(`Exported ${files.length} of ${workouts.length} ` +
+        'workouts.', failures);
+  } else {
+    showNotice(`Exported ${files.length} workouts.`);
+  }
+}
+
+
+/**
+ * Adds the bulk export toolbar to the page: an 'Export week' button with a
+ * date picker on the calendar, or an 'Export plan' button on a training
+ * plan page.
+ * @param {RegExp} page - The kind of page (see BulkExportPage).
+ */
+function addBulkExportToolbar(page) {
+  const toolbar = document.createElement('div');
+  const exportButton = document.createElement('button');
+  const weekInput = document.createElement('input');
+
+  /**
+   * Exports the workouts, with progress shown on the export button.
+   */
+  async function onExport() {
+    let workouts = findScheduledWorkouts();
+    let zipFilename = 'TrainerRoad plan.zip';
+    if (page === BulkExportPage.CALENDAR) {
+      if (!weekInput.value) {
+        showNotice('Choose the week to export.');
+        return;
+      }
+      const weekStart = getWeekStart(weekInput.value);
+      const weekEnd = addDays(weekStart, 7);
+      workouts = workouts.filter((workout) => workout.date &&
+          workout.date >= weekStart && workout.date < weekEnd);
+      zipFilename = `TrainerRoad week ${weekStart}.zip`;
+    } else if (workouts.every((workout) => workout.date)) {
+      workouts.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    if (workouts.length === 0) {
+      showNotice('No scheduled workouts were found on this page.');
+      return;
+    }
+
+    const label = exportButton.textContent;
+    exportButton.disabled = true;
+    exportButton.setAttribute('aria-busy', 'true');
+    try {
+      await exportWorkouts(workouts, zipFilename, (done) => {
+        exportButton.textContent = `Exporting ${done}/${workouts.length}…`;
+      });
+    } catch (error) {
+      showErrorNotice(error);
+    }
+    exportButton.textContent = label;
+    exportButton.disabled = false;
+    exportButton.removeAttribute('aria-busy');
+  }
+
+  toolbar.id = 'ZWO-bulk';
+  if (page === BulkExportPage.CALENDAR) {
+    const label = document.createElement('label');
+    weekInput.type = 'date';
+    weekInput.value = getWeekStart(formatIsoDate(new Date()));
+    weekInput.required = true;
+    label.append('Week of ', weekInput);
+    toolbar.appendChild(label);
+    exportButton.textContent = 'Export week';
+  } else {
+    exportButton.textContent = 'Export plan';
+  }
+  exportButton.addEventListener('click', onExport);
+  toolbar.appendChild(exportButton);
+  document.body.appendChild(toolbar);
+}
+
+
+/**
+ * The kind of page the bulk export toolbar was added for, or null.
+ * @type {?RegExp}
+ */
+let bulkExportToolbarPage = null;
+
+
+/**
+ * Adds the bulk export toolbar for the current page, replacing one added for
+ * another kind of page, or removes it if the page has no bulk export.
+ * TrainerRoad navigates between its pages without reloading, so this is
+ * checked on every change.
+ */
+function updateBulkExportToolbar() {
+  const page = Object.values(BulkExportPage).find((pattern) =>
+    pattern.test(document.location.pathname)) ?? null;
+  const toolbar = document.getElementById('ZWO-bulk');
+  if (page === bulkExportToolbarPage && (toolbar || !page)) {
+    return;
+  }
+  toolbar?.remove();
+  bulkExportToolbarPage = page;
+  if (page) {
+    addBulkExportToolbar(page);
+  }
+}
+
+
+document.addEventListener('DOMContentLoaded', function() {
+  updateBulkExportToolbar();
+  observePage(updateBulkExportToolbar);
+});
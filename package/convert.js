@@ -0,0 +1,1546 @@
+/**
+ * convert.js
+ *
+ * The conversion core: finds the Zwift intervals in TrainerRoad workout data
+ * and generates workout files from them. In the extension, this is loaded as
+ * a content script (and by the options page), sharing one global scope with
+ * fit.js, report.js, xp.js, xml.js and text.js. It can also be imported as
+ * a module by Node (see bin/trzwo), which has no DOM.
+ */
+
+/* global module, require */
+/* exported fileFormatLabels, defaultOptions, checkOption, sanitizeOptions,
+            generateWorkoutFile */
+
+
+// IntervalType, FileFormat, defaultOptions and ConversionError are declared
+// with 'var', like the functions, because other files (e.g. fit.js) declare
+// them again with 'var' to import them under Node (see the end of those
+// files). In the extension, where all of these files share one global
+// scope, a 'const' or 'class' of the same name would make that a
+// redeclaration error.
+/* eslint-disable no-var */
+
+/**
+ * Enum representing the types of intervals in a ZWO file.
+ * @enum {string}
+ * @readonly
+ */
+var IntervalType = Object.freeze({
+  STEADY_STATE: 'SteadyState', // Constant power target for the duration
+  RAMP: 'Ramp', // Linearly increasing/decreasing power target over the duration
+  OVER_UNDER: 'IntervalsT', // Alternating constant power targets
+  WARMUP: 'Warmup', // Ramp at the start of the workout
+  COOLDOWN: 'Cooldown', // Ramp at the end of the workout
+  FREE_RIDE: 'FreeRide', // No power target
+});
+
+
+/**
+ * Enum representing the supported workout file formats.
+ * @enum {string}
+ * @readonly
+ */
+var FileFormat = Object.freeze({
+  ZWO: 'zwo', // Zwift workout file (XML)
+  MRC: 'mrc', // Course file with power targets as a percentage of FTP
+  ERG: 'erg', // Course file with power targets in watts
+  FIT: 'fit', // Garmin FIT workout file
+});
+
+
+/**
+ * User-visible labels for the supported workout file formats.
+ * @type {Object<string, string>}
+ */
+const fileFormatLabels = Object.freeze({
+  [FileFormat.ZWO]: 'ZWO (Zwift)',
+  [FileFormat.MRC]: 'MRC (% FTP)',
+  [FileFormat.ERG]: 'ERG (watts)',
+  [FileFormat.FIT]: 'FIT (Garmin)',
+});
+
+
+/**
+ * The conversion options, with their default values and either their valid
+ * 'values' or, for numeric options, their 'min' and optional 'max' values.
+ * Numeric options must be integers.
+ * @type {Object<string, Object>}
+ */
+const optionDefinitions = Object.freeze({
+  rampConversion: {default: 'none', values: ['none', 'internal', 'all']},
+  stepConversion: {default: 'none', values: ['none', 'ramps', 'steps']},
+  stepDuration: {default: 60, min: 1}, // Seconds
+  ouConversion: {
+    default: 'strict',
+    values: ['strict', 'loose', 'custom', 'none'],
+  },
+  ouTolerance: {default: 3, min: 0, max: 100}, // Percent of FTP, if custom
+  ouMinSplitDuration: {default: 10, min: 1}, // Seconds
+  slopeTolerance: {default: 1, min: 1, max: 1000}, // 0.001% of FTP/second
+  freeRide: {default: 'none', values: ['none', 'recovery']},
+  freeRideMinDuration: {default: 600, min: 1}, // Seconds
+  freeRideMaxPower: {default: 55, min: 1}, // Percent of FTP
+  textEvents: {default: 'all', values: ['all', 'none']},
+  fidelityReport: {default: 'none', values: ['none', 'description']},
+  format: {default: FileFormat.ZWO, values: Object.values(FileFormat)},
+  ftp: {default: 250, min: 1}, // Watts
+  fitRampMode: {default: 'stepped', values: ['stepped', 'range']},
+  existingFile: {default: 'rename', values: ['rename', 'overwrite']},
+  intensity: {default: 100, min: 50, max: 150}, // Percent of the original
+  ftpOverride: {default: 'none', values: ['none', 'ftp']},
+  xpMode: {default: 'off', values: ['off', 'optimize']},
+  xpMaxDeviation: {default: 5, min: 0, max: 100}, // Percent of FTP
+  xpPerMinute: {default: 12, min: 0, max: 100}, // Constant-target blocks
+  rampXpPerMinute: {default: 6, min: 0, max: 100}, // Ramps
+});
+
+
+/**
+ * The power tolerance of the named over-under conversions, in percent of
+ * FTP. The 'custom' over-under conversion uses the 'ouTolerance' option.
+ * @type {Object<string, number>}
+ */
+const ouTolerancePresets = Object.freeze({
+  strict: 0,
+  loose: 3,
+});
+
+
+/**
+ * The default conversion options.
+ * @type {Object}
+ */
+var defaultOptions = Object.freeze(Object.fromEntries(
+    Object.entries(optionDefinitions).map(([name, definition]) =>
+      [name, definition.default])));
+
+
+/**
+ * Checks the value of an option against its definition.
+ * @param {string} name - The name of the option.
+ * @param {*} value - The value.
+ * @return {string|null} - What is wrong with the value, or null if nothing.
+ */
+function checkOption(name, value) {
+  const definition = optionDefinitions[name];
+  if (definition.values) {
+    return definition.values.includes(value) ? null :
+      `Choose one of ${definition.values.join(', ')}.`;
+  }
+  if (Number.isInteger(value) && value >= definition.min &&
+      !(value > definition.max)) {
+    return null;
+  }
+  return definition.max === undefined ?
+    `Enter a whole number of at least ${definition.min}.` :
+    `Enter a whole number from ${definition.min} to ${definition.max}.`;
+}
+
+
+/**
+ * Sanitizes the options object by validating its properties against the
+ * option definitions (see checkOption). Invalid or missing options are
+ * replaced by their default values; only invalid ones are logged.
+ * @param {Object} options - The options object to sanitize.
+ * @return {Object} - The sanitized options object.
+ */
+function sanitizeOptions(options) {
+  const sanitized = {};
+  for (const [name, definition] of Object.entries(optionDefinitions)) {
+    const value = options?.[name];
+    const valid = checkOption(name, value) === null;
+    if (!valid && value !== undefined) {
+      console.warn(`Invalid ${name}:`, value);
+    }
+    sanitized[name] = valid ? value : definition.default;
+  }
+  return sanitized;
+}
+
+
+/**
+ * An error in fetching or converting a workout, with a message suitable for
+ * showing to the user.
+ */
+var ConversionError = class ConversionError extends Error {
+  /**
+   * Creates a conversion error.
+   * @param {string} message - The user-visible message.
+   * @param {Object} [details] - Optional 'problems' (an array of strings
+   *                             with the specifics, e.g. from
+   *                             validateWorkout) and 'cause' attributes.
+   */
+  constructor(message, {problems = [], cause} = {}) {
+    super(message, {cause});
+    this.name = 'ConversionError';
+    this.problems = problems;
+  }
+};
+
+/* eslint-enable no-var */
+
+
+/**
+ * Checks the TrainerRoad workout data (see getZwiftIntervals) for problems
+ * that prevent its conversion.
+ * @param {Array} data - The workout data to check.
+ * @return {Array<string>} - The problems found, if any.
+ */
+function getWorkoutDataErrors(data) {
+  if (!Array.isArray(data)) {
+    return ['WorkoutData is not an array'];
+  }
+  if (data.length < 2) {
+    return ['WorkoutData has less than 2 data points'];
+  }
+  const invalid = data.findIndex((dataPoint, index) =>
+    typeof dataPoint?.Seconds !== 'number' || dataPoint.Seconds < 0 ||
+    typeof dataPoint?.FtpPercent !== 'number' || dataPoint.FtpPercent < 0 ||
+    dataPoint.Seconds % 1000 !== 0 ||
+    (index > 0 && (data[index].Seconds <= data[index - 1].Seconds)));
+  if (invalid >= 0) {
+    return [`WorkoutData contains invalid data points, starting with ` +
+        `point ${invalid}: ${JSON.stringify(data[invalid])}`];
+  }
+  return [];
+}
+
+
+/**
+ * Checks a TrainerRoad workout (the 'Workout' attribute of a workoutdetails
+ * API response) against the expected shape. Errors prevent the conversion;
+ * warnings mean that part of the workout is left out.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @return {Object} - An object with 'errors' and 'warnings' attributes,
+ *                    each an array of user-visible messages.
+ */
+function validateWorkout(workout) {
+  const errors = [];
+  const warnings = [];
+
+  /**
+   * Describes the attributes of an object, to help spot renamed ones.
+   * @param {Object} object - The object.
+   * @return {string} - The attribute names, e.g. "(found: a, b)".
+   */
+  function found(object) {
+    return `(found: ${Object.keys(object).join(', ') || 'nothing'})`;
+  }
+
+  if (typeof workout !== 'object' || workout === null) {
+    return {errors: ['The response has no Workout object'], warnings};
+  }
+  if (workout.WorkoutData === undefined) {
+    errors.push(`Workout has no WorkoutData ${found(workout)}`);
+  } else {
+    errors.push(...getWorkoutDataErrors(workout.WorkoutData));
+  }
+  const details = workout.Details;
+  if (typeof details !== 'object' || details === null) {
+    warnings.push('Workout has no Details, so the name and description ' +
+        `are missing ${found(workout)}`);
+  } else {
+    if (typeof details.WorkoutName !== 'string') {
+      warnings.push(`Workout has no WorkoutName ${found(details)}`);
+    }
+    if (details.Zones !== undefined && !Array.isArray(details.Zones)) {
+      warnings.push('Zones is not an array, so the zone tags are computed ' +
+          'from the intervals');
+    } else if (details.Zones?.some((zone) => !zone?.Description)) {
+      warnings.push('Some zones have no Description, so their tags are ' +
+          'missing');
+    }
+  }
+  return {errors, warnings};
+}
+
+
+/**
+ * Checks that a TrainerRoad workout can be converted (see validateWorkout).
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @throws {ConversionError} - If the workout isn't in the expected format.
+ */
+function assertValidWorkout(workout) {
+  const {errors} = validateWorkout(workout);
+  if (errors.length > 0) {
+    throw new ConversionError('The workout from TrainerRoad isn\'t in the ' +
+        'expected format, so it can\'t be converted. TrainerRoad may have ' +
+        'changed its website.', {problems: errors});
+  }
+}
+
+
+/**
+ * Scales the power targets of TrainerRoad workout data, for riding a workout
+ * at a different intensity.
+ * @param {Array} data - The workout data, with 'Seconds' and 'FtpPercent'
+ *                       attributes.
+ * @param {number} [intensity=100] - The intensity, in percent of the
+ *                                   original power targets.
+ * @return {Array} - The scaled workout data. Data that isn't an array is
+ *                   returned as is.
+ */
+function scaleWorkoutData(data, intensity = 100) {
+  if (!Array.isArray(data) || intensity === 100) {
+    return data;
+  }
+  return data.map((dataPoint) =>
+    ({...dataPoint, FtpPercent: dataPoint.FtpPercent * intensity / 100}));
+}
+
+
+/**
+ * Determines the Zwift intervals from the provided workout data based on the
+ * given options. The workout data is expected to be an array of objects with
+ * 'Seconds' [sic] and 'FtpPercent' attributes, indicating the power target
+ * beginning at the given time. The power targets are scaled by the
+ * 'intensity' option (see scaleWorkoutData). With the 'xpMode' option set
+ * to 'optimize', the ramp and over-under conversions are chosen to earn the
+ * most Zwift XP instead (see optimizeForXp).
+ * @param {Array} data - The workout data to analyze.
+ * @param {Object} options - The options for analyzing the intervals.
+ * @return {Array} - The array of Zwift intervals.
+ */
+function getZwiftIntervals(data, options) {
+  /**
+   * Checks if the provided workout data follows the expected
+   * conventions.
+   * @param {Array} data - The workout data to validate.
+   * @return {boolean} - True if the workout data is valid, false otherwise.
+   */
+  function validWorkoutData(data) {
+    const errors = getWorkoutDataErrors(data);
+    for (const error of errors) {
+      console.warn(error);
+    }
+    return errors.length === 0;
+  }
+
+
+  /**
+   * Finds the simple (steady state and ramp) intervals in a dataset based on
+   * changes in slope.
+   * @param {Array} data - The dataset containing 'Seconds' and 'FtpPercent'
+   *                       attributes.
+   * @param {Object} options - Additional options for calculating intervals.
+   * @return {Array} - An array of intervals
+   */
+  function getSimpleIntervals(data, options) {
+    /**
+     * Determines if there is a slope change at the given point.
+     * @param {number} index - The index to check for slope change.
+     * @return {boolean} - True if there is a slope change, false otherwise.
+     */
+    function slopeChange(index) {
+      const epsilon = options.slopeTolerance / 1000;
+      return Math.abs(data[index].slope - data[index - 1].slope) >= epsilon;
+    }
+
+    /**
+     * Determines if ramp conversion should be performed, depending on the
+     * position of the interval and options. With 'internal', only ramps
+     * that neither start the workout nor end it are converted, so that the
+     * warmup and cooldown ramps are kept.
+     * @param {number} start - The index of the start of the interval.
+     * @param {number} end - The index of the end of the interval.
+     * @return {boolean} - True if ramp conversion should be performed,
+     *                     false otherwise.
+     */
+    function doRampConversion(start, end) {
+      return options.rampConversion === 'all' ||
+          (options.rampConversion === 'internal' &&
+           (start > 0 && end < data.length - 1));
+    }
+
+    // Generate a new dataset with the seconds attribute corrected and
+    // an additional slope attribute, indicating the slope from that datapoint
+    // to the next.
+    data = data.map((dataPoint, index) => {
+      const seconds = dataPoint.Seconds / 1000; // Convert from milliSeconds
+      const ftpPercent = dataPoint.FtpPercent;
+      if (index === data.length - 1) {
+        return {seconds, ftpPercent};
+      } else {
+        const deltaPower = data[index + 1].FtpPercent - data[index].FtpPercent;
+        const deltaTime = data[index + 1].Seconds - data[index].Seconds;
+        const slope = deltaPower / (deltaTime / 1000); // %FTP/sec
+        return {seconds, ftpPercent, slope};
+      }
+    });
+
+    /*
+     * Identify workout intervals by detecting changes in the gradient
+     * (slope) of FtpPercent over time.  An interval is considered to
+     * end at index i (and a new one starts at the same index) if
+     * there's a slope change at index i but not at index i + 1. This
+     * method is based on the observation that discontinuities in
+     * FtpPercent values are not present in the dataset. Instead, only
+     * the FtpPercent value immediately after a discontinuity is
+     * recorded, leading to an apparent early change in slope.
+     *
+     * For instance, consider a scenario with a steady state interval
+     * at 80% FTP followed by another at 100% FTP:
+     *
+     * Time (ms) | FTP %
+     * ----------------------
+     * 57000     | 80
+     * 58000     | 80
+     * 59000     | 80
+     * 60000     | 100
+     * 61000     | 100
+     *
+     * Here, the transition between 59000ms (80% ftp) to 60000ms (100%
+     * ftp) involves a slope change. Ideally, there should be an
+     * additional data point at 60000ms with 80% ftp to indicate a
+     * sharp change (discontinuity). With the missing point, it would
+     * be clear that there is no slope change at 59000ms. There is no
+     * slope change at all, but the discontinuity at 60000ms does
+     * still indicate the boundary between two intervals.
+     *
+     * With that out of the way, a simple change of slope at the same
+     * target power also marks the boundary between two intervals,
+     * based on the observation that an interval has only a starting
+     * power target and an ending power target, and must therefore
+     * have a consistent slope throughout.
+     */
+    const intensity = options.intensity ?? 100;
+    const intervals = [];
+    for (let index = 1, start = 0; index < data.length; index++) {
+      if (index == data.length - 1 ||
+          (slopeChange(index) && !slopeChange(index + 1))) {
+        const duration = data[index].seconds - data[start].seconds;
+        let startPower = data[start].ftpPercent;
+        // Ending power target must be inferred from the slope. TrainerRoad
+        // power targets are whole percentages of FTP before scaling.
+        let endPower = Math.round((startPower + duration *
+            data[start].slope) * 100 / intensity) * intensity / 100;
+        // Remember which steady state intervals were flattened from ramps.
+        const flattened = startPower !== endPower &&
+                          doRampConversion(start, index);
+        if (flattened) {
+          startPower = endPower = (startPower + endPower) / 2;
+        }
+        // Steady state intervals have a constant target power.
+        // Ramp intervals do not.
+        const type = startPower === endPower ? IntervalType.STEADY_STATE :
+                                               IntervalType.RAMP;
+        intervals.push({type, duration, startPower, endPower, flattened});
+        start = index;
+      }
+    }
+    // Zwift has dedicated elements for ramps at the start and the end of
+    // a workout.
+    if (intervals[0]?.type === IntervalType.RAMP) {
+      intervals[0].type = IntervalType.WARMUP;
+    }
+    if (intervals.length > 1 &&
+        intervals[intervals.length - 1].type === IntervalType.RAMP) {
+      intervals[intervals.length - 1].type = IntervalType.COOLDOWN;
+    }
+    return intervals;
+  }
+
+
+  /**
+   * Converts stair-step sequences to ramps, or ramps to stair steps, if
+   * enabled in the options. A stair-step sequence is at least three
+   * steady-state intervals of the same duration, with power targets that
+   * go up (or down) by the same amount each time. It becomes a ramp
+   * extending half a step beyond the first and last power targets, so the
+   * average power of each step is unchanged, except that the ramp doesn't
+   * go below 0% FTP. Ramps are split into steps of
+   * the 'stepDuration' option (the last one may be shorter), each at the
+   * average power of the ramp over the step. Over-unders are left alone.
+   * @param {Array} intervals - The array of intervals to process.
+   * @param {Object} options - The options for processing the intervals.
+   * @return {Array} - The processed intervals array.
+   */
+  function processSteps(intervals, options) {
+    /**
+     * Determines if an interval can be part of a stair-step sequence.
+     * Ramps flattened to steady states are left alone.
+     * @param {Object} interval - The interval.
+     * @return {boolean} - True if the interval is a steady-state interval
+     *                     that wasn't flattened.
+     */
+    function isStep(interval) {
+      return interval?.type === IntervalType.STEADY_STATE &&
+          !interval.flattened;
+    }
+
+    /**
+     * Determines if an interval continues the stair-step sequence ending
+     * with the interval before it.
+     * @param {number} index - The index of the interval.
+     * @return {boolean} - True if the interval continues the sequence.
+     */
+    function continuesStairs(index) {
+      const epsilon = 1e-6; // Power targets may be scaled
+      const [a, b, c] = intervals.slice(index - 2, index + 1);
+      const rise = b.startPower - a.startPower;
+      return isStep(c) && c.duration === b.duration &&
+          Math.abs(rise) > epsilon &&
+          Math.abs(c.startPower - b.startPower - rise) < epsilon;
+    }
+
+    if (options.stepConversion === 'ramps') {
+      const converted = [];
+      for (let start = 0; start < intervals.length;) {
+        let end = start + 1;
+        if (isStep(intervals[start]) && isStep(intervals[end]) &&
+            intervals[end].duration === intervals[start].duration) {
+          while (end + 1 < intervals.length && continuesStairs(end + 1)) {
+            end++;
+          }
+        }
+        if (end - start + 1 >= 3) {
+          const first = intervals[start];
+          const last = intervals[end];
+          const halfRise = (intervals[start + 1].startPower -
+                            first.startPower) / 2;
+          converted.push({
+            type: IntervalType.RAMP,
+            duration: (end - start + 1) * first.duration,
+            startPower: Math.max(0, first.startPower - halfRise),
+            endPower: Math.max(0, last.startPower + halfRise),
+            flattened: false,
+          });
+          start = end + 1;
+        } else {
+          converted.push(intervals[start]);
+          start++;
+        }
+      }
+      if (converted[0]?.type === IntervalType.RAMP) {
+        converted[0].type = IntervalType.WARMUP;
+      }
+      if (converted.length > 1 && converted.at(-1).type === IntervalType.RAMP) {
+        converted.at(-1).type = IntervalType.COOLDOWN;
+      }
+      return converted;
+    }
+
+    if (options.stepConversion === 'steps') {
+      return intervals.flatMap((interval) => {
+        if (interval.type === IntervalType.OVER_UNDER ||
+            interval.startPower === interval.endPower) {
+          return [interval];
+        }
+        const steps = [];
+        const slope = (interval.endPower - interval.startPower) /
+            interval.duration;
+        for (let start = 0; start < interval.duration;
+          start += options.stepDuration) {
+          const duration =
+              Math.min(options.stepDuration, interval.duration - start);
+          const power = interval.startPower + slope * (start + duration / 2);
+          steps.push({
+            type: IntervalType.STEADY_STATE,
+            duration,
+            startPower: power,
+            endPower: power,
+            flattened: false,
+          });
+        }
+        return steps;
+      });
+    }
+    return intervals;
+  }
+
+
+  /**
+   * Processes the over-under intervals in the given intervals array based on
+   * the provided options.
+   * @param {Array} intervals - The array of intervals to process.
+   * @param {Object} options - The options for processing the intervals.
+   * @return {Array} - The processed intervals array.
+   */
+  function processOverUnders(intervals, options) {
+    /**
+     * Creates an over-under interval object.
+     * @param {number} start - The index of the starting simple interval.
+     * @param {number} end - The index of the ending simple interval.
+     * @return {Object} - The over-under interval object.
+     */
+    function createOverUnder(start, end) {
+      let onPowerSum = 0;
+      let offPowerSum = 0;
+      const repeat = ((end - start + 1) / 2) | 0;
+      for (let index = start; index < end; index += 2) {
+        onPowerSum += intervals[index].startPower;
+        offPowerSum += intervals[index + 1].startPower;
+      }
+      return {
+        type: IntervalType.OVER_UNDER,
+        repeat: repeat,
+        onDuration: intervals[start].duration,
+        offDuration: intervals[start + 1].duration,
+        onPower: onPowerSum / repeat,
+        offPower: offPowerSum / repeat,
+      };
+    }
+
+    /**
+     * Replaces a sequence of intervals with an over-under interval.
+     * @param {number} start - The index of the first interval in the sequence.
+     * @param {number} end - The index of the last interval in the sequence.
+     * @return {number} - The index of the over-under interval.
+     */
+    function replaceOverUnderSequence(start, end) {
+      let length = end - start + 1;
+      // For odd-length sequences, remove the first or last interval
+      // before creating the over-under. First, try to avoid splitting
+      // an interval. If that's not possible, split the longer interval.
+      if (length % 2 !== 0) {
+        if (intervals[start].duration === intervals[start + 2].duration) {
+          end--;
+        } else if (intervals[end].duration === intervals[end - 2].duration) {
+          start++;
+        } else if (intervals[start].duration - intervals[start + 2].duration >=
+                   intervals[end].duration - intervals[end - 2].duration) {
+          end--;
+        } else {
+          start++;
+        }
+        length--;
+      }
+      // Split the first interval if it's longer than the other "on" intervals
+      if (intervals[start].duration !== intervals[start + 2].duration) {
+        intervals.splice(start + 1, 0, intervals[start + 2]);
+        intervals[start].duration -= intervals[start + 1].duration;
+        start++; end++;
+      }
+      // Split the last interval if it's longer than the other "off" intervals
+      if (intervals[end].duration !== intervals[end - 2].duration) {
+        intervals.splice(end, 0, intervals[end - 2]);
+        intervals[end + 1].duration -= intervals[end].duration;
+      }
+      const ouInterval = createOverUnder(start, end);
+      intervals.splice(start, length, ouInterval);
+      return start;
+    }
+
+    /**
+     * Determines if two steady-state intervals have power targets that are
+     * "close enough."
+     * @param {number} a - The first index.
+     * @param {number} b - The second index.
+     * @return {boolean} - True if the intervals are close enough,
+     *                     false otherwise.
+     */
+    function closeMatch(a, b) {
+      const epsilon = ouTolerancePresets[options.ouConversion] ??
+          options.ouTolerance;
+      return Math.abs(intervals[a].startPower -
+                      intervals[b].startPower) <= epsilon;
+    }
+
+    /**
+     * Locates and converts over-under sequences in the intervals array.
+     * Start is the index of the first interval in the current candidate
+     * sequence. End is the index of the last interval in the current
+     * candidate sequence, inclusive.
+     */
+    function convertOverUnderSequences() {
+      // Minimum duration for an interval split from a longer one
+      const minDuration = options.ouMinSplitDuration;
+      for (let index = 0, start = undefined;
+        index <= intervals.length; index++) {
+        let end = index - 1;
+        if (intervals[index]?.type === IntervalType.STEADY_STATE) {
+          if (start === undefined) {
+            // Start a new sequence
+            start = index;
+            continue;
+          }
+          if (start === index - 1) {
+            // No constraints on the second interval, other than STEADY_STATE.
+            // Keep the sequence going.
+            continue;
+          }
+          if (closeMatch(index, index - 2)) {
+            if ((intervals[index].duration === intervals[index - 2].duration)) {
+              // Current interval perfectly matches the antepenultimate
+              // interval. Keep the sequence going.
+              continue;
+            }
+            if (start === index - 2 && intervals[index - 2].duration >=
+                intervals[index].duration + minDuration) {
+              /*
+               * The first interval doesn't match the third, but it can be split
+               * into two consecutive intervals, where the latter matches
+               * the third. Keep the sequence going.
+               */
+              continue;
+            }
+            if (intervals[index].duration >=
+                intervals[index - 2].duration + minDuration) {
+              /*
+               * The current interval doesn't match the antepenultimate
+               * interval, but it can be split into two consecutive intervals,
+               * where the former matches the antepenultime. End the sequence.
+               */
+              end = index;
+            }
+          }
+        }
+        if (start !== undefined) {
+          if (end - start + 1 >= 4) {
+            index = replaceOverUnderSequence(start, end);
+          } else {
+            index = start;
+          }
+          start = undefined;
+        }
+      }
+    }
+
+    if (options.ouConversion !== 'none') {
+      convertOverUnderSequences();
+    }
+    return intervals;
+  }
+
+  /**
+   * Converts long, low-intensity steady-state intervals to free ride
+   * intervals, if enabled in the options. The power targets are retained
+   * for file formats without free ride intervals.
+   * @param {Array} intervals - The array of intervals to process.
+   * @param {Object} options - The options for processing the intervals.
+   * @return {Array} - The processed intervals array.
+   */
+  function processFreeRides(intervals, options) {
+    if (options.freeRide === 'recovery') {
+      for (const interval of intervals) {
+        if (interval.type === IntervalType.STEADY_STATE &&
+            interval.duration >= options.freeRideMinDuration &&
+            interval.startPower <= options.freeRideMaxPower) {
+          interval.type = IntervalType.FREE_RIDE;
+        }
+      }
+    }
+    return intervals;
+  }
+
+  if (!validWorkoutData(data)) {
+    return [];
+  }
+  if (options.xpMode === 'optimize') {
+    return optimizeForXp(data, options);
+  }
+  const scaledData = scaleWorkoutData(data, options.intensity);
+  // Stair steps become ramps before over-unders are found, but ramps become
+  // steps after, so that the new steps can't be taken for over-unders.
+  const simpleIntervals = options.stepConversion === 'ramps' ?
+    processSteps(getSimpleIntervals(scaledData, options), options) :
+    getSimpleIntervals(scaledData, options);
+  const intervals = processOverUnders(simpleIntervals, options);
+  return processFreeRides(options.stepConversion === 'steps' ?
+    processSteps(intervals, options) : intervals, options);
+}
+
+
+/**
+ * Returns the total duration of a Zwift interval.
+ * @param {Object} interval - The Zwift interval.
+ * @return {number} - The duration in seconds.
+ */
+function getIntervalDuration(interval) {
+  if (interval.type === IntervalType.OVER_UNDER) {
+    return interval.repeat * (interval.onDuration + interval.offDuration);
+  }
+  return interval.duration;
+}
+
+
+/**
+ * Converts Zwift intervals to a list of time/power points. Every segment
+ * contributes a starting point and an ending point, so steps in power
+ * show up as two points at the same time. Free rides retain the power
+ * target of the interval they were converted from.
+ * @param {Array} intervals - The array of Zwift intervals.
+ * @return {Array} - An array of objects with 'seconds' and 'power'
+ *                   attributes, with power in percent of FTP.
+ */
+function getPowerPoints(intervals) {
+  const points = [];
+  let seconds = 0;
+
+  /**
+   * Appends a linear segment to the list of points.
+   * @param {number} duration - The duration of the segment in seconds.
+   * @param {number} startPower - The starting power target.
+   * @param {number} endPower - The ending power target.
+   */
+  function addSegment(duration, startPower, endPower) {
+    points.push({seconds, power: startPower});
+    seconds += duration;
+    points.push({seconds, power: endPower});
+  }
+
+  for (const i of intervals) {
+    switch (i.type) {
+      case IntervalType.STEADY_STATE:
+      case IntervalType.RAMP:
+      case IntervalType.WARMUP:
+      case IntervalType.COOLDOWN:
+      case IntervalType.FREE_RIDE:
+        addSegment(i.duration, i.startPower, i.endPower);
+        break;
+      case IntervalType.OVER_UNDER:
+        for (let repeat = 0; repeat < i.repeat; repeat++) {
+          addSegment(i.onDuration, i.onPower, i.onPower);
+          addSegment(i.offDuration, i.offPower, i.offPower);
+        }
+        break;
+      default:
+        throw new ConversionError(`Unknown Zwift interval type: ${i.type}`);
+    }
+  }
+  return points;
+}
+
+
+/**
+ * Checks a list of Zwift intervals, e.g. from the interval editor, for
+ * values that can't be written to a workout file. Durations must be whole
+ * seconds, and power targets between 0 and 1000% of FTP.
+ * @param {Array} intervals - The Zwift intervals.
+ * @return {Array<string>} - The problems found, if any.
+ */
+function getIntervalErrors(intervals) {
+  if (!Array.isArray(intervals) || intervals.length === 0) {
+    return ['There are no intervals.'];
+  }
+  const errors = [];
+  intervals.forEach((i, index) => {
+    /**
+     * Records a problem unless a value is valid.
+     * @param {boolean} valid - Whether the value is valid.
+     * @param {string} name - The name of the value.
+     */
+    function check(valid, name) {
+      if (!valid) {
+        errors.push(`Interval ${index + 1} (${i?.type}): invalid ${name}.`);
+      }
+    }
+    const isDuration = (value) => Number.isInteger(value) && value > 0;
+    const isPower = (value) =>
+      Number.isFinite(value) && value >= 0 && value <= 1000;
+
+    switch (i?.type) {
+      case IntervalType.STEADY_STATE:
+      case IntervalType.FREE_RIDE:
+        check(isDuration(i.duration), 'duration');
+        check(isPower(i.startPower) && i.endPower === i.startPower, 'power');
+        break;
+      case IntervalType.RAMP:
+      case IntervalType.WARMUP:
+      case IntervalType.COOLDOWN:
+        check(isDuration(i.duration), 'duration');
+        check(isPower(i.startPower), 'starting power');
+        check(isPower(i.endPower), 'ending power');
+        break;
+      case IntervalType.OVER_UNDER:
+        check(isDuration(i.repeat), 'repeat count');
+        check(isDuration(i.onDuration), 'on duration');
+        check(isDuration(i.offDuration), 'off duration');
+        check(isPower(i.onPower), 'on power');
+        check(isPower(i.offPower), 'off power');
+        break;
+      default:
+        errors.push(`Interval ${index + 1}: unknown type ${i?.type}.`);
+    }
+  });
+  return errors;
+}
+
+
+/**
+ * Returns the Zwift intervals for a workout: the intervals saved in the
+ * interval editor, if the workout has them as 'intervalEdits', or otherwise
+ * the intervals found by getZwiftIntervals. Edited intervals are final, so
+ * the conversion options don't apply to them, except for the intensity:
+ * they are scaled from the intensity they were edited at.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals, and optionally 'intervalEdits',
+ *                           with 'intervals' and 'intensity' attributes.
+ * @param {Object} options - The options for the conversion.
+ * @return {Array} - The Zwift intervals.
+ * @throws {ConversionError} - If the edited intervals aren't valid.
+ */
+function getWorkoutIntervals(workout, options) {
+  const edits = workout?.intervalEdits;
+  if (!edits) {
+    return getZwiftIntervals(workout?.WorkoutData, options);
+  }
+  const errors = getIntervalErrors(edits.intervals);
+  if (errors.length > 0) {
+    throw new ConversionError('The edited intervals of ' +
+        `${getWorkoutName(workout)} can't be converted.`, {problems: errors});
+  }
+  const scale = (options.intensity ?? 100) / (edits.intensity ?? 100);
+  return edits.intervals.map((interval) => {
+    const scaled = {...interval};
+    for (const key of ['startPower', 'endPower', 'onPower', 'offPower']) {
+      if (key in scaled) {
+        scaled[key] *= scale;
+      }
+    }
+    return scaled;
+  });
+}
+
+
+/**
+ * Returns the name of the workout, suitable for use in file names and headers.
+ * The intensity, unless it is 100%, and the FTP, for files with power targets
+ * in watts, are added to the name, e.g. "Baxter (95%, 250 W)".
+ * @param {Object} workout - The workout object containing details.
+ * @param {Object} [options] - The options, for the intensity and FTP.
+ * @param {boolean} [absolute=false] - True if the power targets are in
+ *                                     watts.
+ * @return {string} - The workout name.
+ */
+function getWorkoutName(workout, options, absolute = false) {
+  const name = workout?.Details?.WorkoutName?.trimEnd() || 'Unnamed Workout';
+  const qualifiers = [];
+  if (options?.intensity && options.intensity !== 100) {
+    qualifiers.push(`${options.intensity}%`);
+  }
+  if (absolute) {
+    qualifiers.push(`${options.ftp} W`);
+  }
+  return qualifiers.length > 0 ? `${name} (${qualifiers.join(', ')})` : name;
+}
+
+
+/**
+ * Makes a file name from a workout name that is valid on Windows, macOS and
+ * Linux. Characters that are reserved on any of them, like '/' or ':', and
+ * control characters are replaced by '_'; leading and trailing spaces and
+ * trailing dots, which Windows drops, are removed; device names reserved by
+ * Windows, like 'CON', get a '_' added; and long names are shortened to fit
+ * the 255-byte limit of most file systems.
+ * @param {string} name - The workout name (see getWorkoutName).
+ * @param {string} extension - The file extension (see FileFormat).
+ * @return {string} - The file name.
+ */
+function getWorkoutFilename(name, extension) {
+  // Leave room for the extension, and for a number added to tell files with
+  // the same name apart, e.g. ' (2)'.
+  const maxBytes = 255 - extension.length - 1 - 8;
+  const encoder = new TextEncoder();
+  let base = Array.from(name, (character) =>
+    character.codePointAt(0) < 0x20 || character.codePointAt(0) === 0x7F ||
+    '<>:"/\\|?*'.includes(character) ? '_' : character).join('');
+  while (encoder.encode(base).length > maxBytes) {
+    base = Array.from(base).slice(0, -1).join('');
+  }
+  base = base.trim().replace(/[. ]+$/, '');
+  if (/^(?:con|prn|aux|nul|com[1-9]|lpt[1-9])$/i.test(base)) {
+    base += '_';
+  }
+  return `${base || 'Unnamed Workout'}.${extension}`;
+}
+
+
+/**
+ * The TrainerRoad power zones, each with its upper bound in percent of FTP,
+ * for tagging workouts that come without zones.
+ * @type {Array<Object>}
+ */
+const powerZones = Object.freeze([
+  {name: 'Active Recovery', below: 55},
+  {name: 'Endurance', below: 76},
+  {name: 'Tempo', below: 88},
+  {name: 'Sweet Spot', below: 95},
+  {name: 'Threshold', below: 106},
+  {name: 'VO2 Max', below: 121},
+  {name: 'Anaerobic', below: Infinity},
+]);
+
+
+/**
+ * Finds the power zones a workout trains, from the time its intervals spend
+ * in each zone. Time below Tempo only counts if the workout never goes
+ * higher; otherwise, the zones with at least a third of the time of the
+ * busiest one are used.
+ * @param {Array} intervals - The Zwift intervals.
+ * @return {Array<string>} - The names of the zones, the busiest first.
+ */
+function getIntervalZones(intervals) {
+  const seconds = powerZones.map(() => 0);
+  for (const power of getPowerSeries(getPowerPoints(intervals))) {
+    seconds[powerZones.findIndex((zone) => power < zone.below)]++;
+  }
+  const easy = 2; // Active Recovery and Endurance
+  const hard = seconds.slice(easy).some((time) => time > 0);
+  const zones = powerZones.map((zone, index) => ({...zone,
+    seconds: hard === index >= easy ? seconds[index] : 0}));
+  const most = Math.max(...zones.map((zone) => zone.seconds));
+  return zones.filter((zone) => zone.seconds > 0 && zone.seconds >= most / 3)
+      .sort((a, b) => b.seconds - a.seconds).map((zone) => zone.name);
+}
+
+
+/**
+ * Collects the metadata of a workout, for the tags and summary of a ZWO
+ * file. TSS, IF and kJ are taken from the TrainerRoad workout details
+ * ('Tss', 'IntensityFactor' and 'Kj'), unless they are missing or the
+ * intensity option scales the power targets; then they are computed from
+ * the workout data, as in the fidelity report. The progression level and
+ * category come from 'ProgressionLevel' and 'ProfileName', and the zones
+ * from 'Zones', or else from the intervals (see getIntervalZones), the
+ * busiest of which is then the category.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @param {Array} intervals - The Zwift intervals.
+ * @param {Object} options - The options, for the FTP and the intensity.
+ * @return {Object} - An object with 'duration' (seconds), 'tss',
+ *                    'intensityFactor', 'kj', 'level' and 'category'
+ *                    (undefined if unknown) and 'zones' (names) attributes.
+ */
+function getWorkoutMetadata(workout, intervals, options) {
+  const details = workout?.Details ?? {};
+  const data = scaleWorkoutData(workout?.WorkoutData, options.intensity);
+  const metrics = getPowerMetrics(getPowerSeries(Array.isArray(data) ?
+    data.map((dataPoint) =>
+      ({seconds: dataPoint.Seconds / 1000, power: dataPoint.FtpPercent})) :
+    []), options.ftp);
+  const scaled = (options.intensity ?? 100) !== 100;
+  const given = (value) =>
+    !scaled && Number.isFinite(value) && value > 0 ? value : undefined;
+  // TrainerRoad gives the IF as a percentage.
+  const intensityFactor = given(details.IntensityFactor);
+  const zones = Array.isArray(details.Zones) ?
+    details.Zones.map((zone) => zone?.Description).filter(Boolean) :
+    getIntervalZones(intervals);
+  const profileName = typeof details.ProfileName === 'string' ?
+    details.ProfileName.trim() : '';
+  return {
+    duration: metrics.duration,
+    tss: given(details.Tss) ?? metrics.tss,
+    intensityFactor: intensityFactor > 2 ? intensityFactor / 100 :
+      intensityFactor ?? metrics.intensityFactor,
+    kj: given(details.Kj) ?? metrics.kj,
+    level: Number.isFinite(details.ProgressionLevel) ?
+      details.ProgressionLevel : undefined,
+    category: profileName || zones[0],
+    zones,
+  };
+}
+
+
+/**
+ * Formats the metadata of a workout as short labels, e.g. 'Threshold',
+ * 'Level 4.3', '60 min', 'TSS 62', 'IF 0.79' and '520 kJ', for the tags
+ * and the summary line of a ZWO file.
+ * @param {Object} metadata - The metadata (see getWorkoutMetadata).
+ * @return {Array<string>} - The labels, with the category first.
+ */
+function formatWorkoutMetadata(metadata) {
+  return [
+    ...(metadata.category ? [metadata.category] : []),
+    ...(metadata.level !== undefined ?
+      [`Level ${metadata.level.toFixed(1)}`] : []),
+    `${Math.round(metadata.duration / 60)} min`,
+    `TSS ${Math.round(metadata.tss)}`,
+    `IF ${metadata.intensityFactor.toFixed(2)}`,
+    `${Math.round(metadata.kj)} kJ`,
+  ];
+}
+
+
+/**
+ * Generates a Zwift workout file based on the provided workout and options.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @param {Object} options - The options object for generating the workout.
+ * @return {Object} - An object containing the filename and content of the
+ *                    generated Zwift workout file.
+ */
+function generateZwiftWorkout(workout, options) {
+  /**
+   * Converts HTML to plain text by removing HTML tags and fixing up
+   * whitespace.
+   * @param {string} html - The HTML string to be converted.
+   * @return {string} - The converted plain text.
+   */
+  function htmlToText(html) {
+    if (!html || typeof html !== 'string') {
+      return '';
+    }
+    let text;
+    if (typeof DOMParser === 'undefined') {
+      // Without a DOM (under Node), strip the tags and decode the most
+      // common character references.
+      const entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+        nbsp: ' '};
+      text = html.replace(/<[^>]*>/g, '').replace(/&(#x?)?(\w+);/g,
+          (reference, numeric, name) => numeric ?
+            String.fromCodePoint(parseInt(name, numeric === '#x' ? 16 : 10)) :
+            entities[name] ?? reference);
+    } else {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      text = doc.body.textContent;
+    }
+    text = text.replace(/([\.?!])([A-Z])/g, '$1 $2');
+    text = text.replace(/\s+/g, ' ');
+    return text;
+  }
+
+  /**
+   * Converts a zone name or metadata label to a tag element.
+   * @param {string} label - The zone name or label.
+   * @return {Object} - The tag element.
+   */
+  function labelToTag(label) {
+    return createXmlElement('tag', {name: label});
+  }
+
+  /**
+   * Collects text events from the names of the TrainerRoad intervals and
+   * the timed instructions in the workout, if any. Intervals are expected
+   * in 'IntervalData', as objects with 'Name', 'Start' and 'IsFake'
+   * attributes, and instructions in 'Instructions', as objects with 'Text'
+   * and 'Start' attributes, with times in seconds. Fake intervals span the
+   * whole workout and are ignored. Messages that start at the same time are
+   * combined.
+   * @return {Array} - An array of text events with 'seconds' and 'message'
+   *                   attributes, sorted by time.
+   */
+  function getTextEvents() {
+    if (options.textEvents === 'none') {
+      return [];
+    }
+    const messages = new Map();
+
+    /**
+     * Adds a message at the given time.
+     * @param {number} seconds - The time of the message.
+     * @param {string} message - The message, which may contain HTML.
+     */
+    function addMessage(seconds, message) {
+      const text = htmlToText(message).trim();
+      if (typeof seconds !== 'number' || seconds < 0 || !text) {
+        return;
+      }
+      seconds = Math.round(seconds);
+      messages.set(seconds, [...(messages.get(seconds) ?? []), text]);
+    }
+
+    const intervalData = workout?.IntervalData ?? workout?.intervalData;
+    const instructions = workout?.Instructions ?? workout?.instructions;
+    if (Array.isArray(intervalData)) {
+      for (const interval of intervalData) {
+        if (!(interval?.IsFake ?? interval?.isFake)) {
+          addMessage(interval?.Start ?? interval?.start,
+              interval?.Name ?? interval?.name);
+        }
+      }
+    }
+    if (Array.isArray(instructions)) {
+      for (const instruction of instructions) {
+        addMessage(instruction?.Start ?? instruction?.start,
+            instruction?.Text ?? instruction?.text);
+      }
+    }
+    return Array.from(messages.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([seconds, texts]) =>
+          ({seconds, message: texts.join(' — ')}));
+  }
+
+  /**
+   * Converts the intervals to XML segments, attaching each text event to
+   * the segment during which it occurs, with a time offset relative to the
+   * start of the segment.
+   * @param {Array} intervals - The Zwift intervals.
+   * @param {Array} events - The text events, sorted by time.
+   * @return {Array<Object>} - The segment elements.
+   */
+  function intervalsToSegments(intervals, events) {
+    let start = 0;
+    let eventIndex = 0;
+    return intervals.map((interval, index) => {
+      const duration = getIntervalDuration(interval);
+      const isLast = index === intervals.length - 1;
+      const segmentEvents = [];
+      while (eventIndex < events.length &&
+             (isLast || events[eventIndex].seconds < start + duration)) {
+        const offset = Math.min(Math.max(0, events[eventIndex].seconds - start),
+            duration - 1);
+        segmentEvents.push({offset, message: events[eventIndex].message});
+        eventIndex++;
+      }
+      start += duration;
+      return intervalToElement(interval, segmentEvents);
+    });
+  }
+
+  /**
+   * Converts an interval object to a segment element.
+   * @param {Interval} i - The interval object to convert.
+   * @param {Array} events - The text events for the interval, with 'offset'
+   *                         and 'message' attributes.
+   * @return {Object} The segment element.
+   */
+  function intervalToElement(i, events) {
+  /**
+   * Converts a percentage to a normalized value.
+   * @param {number} percentage - The percentage to be converted.
+   * @return {string} - The normalized value as a string with two
+   *                    decimal places.
+   */
+    function normalize(percentage) {
+      return (percentage / 100).toFixed(2);
+    }
+
+    let attributes;
+    switch (i.type) {
+      case IntervalType.STEADY_STATE:
+        attributes = {Duration: i.duration, Power: normalize(i.startPower)};
+        break;
+      case IntervalType.RAMP:
+      case IntervalType.WARMUP:
+      case IntervalType.COOLDOWN:
+        attributes = {
+          Duration: i.duration,
+          PowerLow: normalize(i.startPower),
+          PowerHigh: normalize(i.endPower),
+        };
+        break;
+      case IntervalType.FREE_RIDE:
+        attributes = {Duration: i.duration};
+        break;
+      case IntervalType.OVER_UNDER:
+        attributes = {
+          Repeat: i.repeat,
+          OnDuration: i.onDuration,
+          OffDuration: i.offDuration,
+          OnPower: normalize(i.onPower),
+          OffPower: normalize(i.offPower),
+        };
+        break;
+      default:
+        throw new ConversionError(`Unknown Zwift interval type: ${i.type}`);
+    }
+    const textEvents = events.map((event) => createXmlElement('textevent',
+        {timeoffset: event.offset, message: event.message}));
+    return createXmlElement(i.type, attributes, textEvents);
+  }
+
+  const details = workout?.Details;
+  const ftpOverride = options.ftpOverride === 'ftp';
+  const name = getWorkoutName(workout, options, ftpOverride);
+  const workoutDescription = `${htmlToText(details?.WorkoutDescription)}\n`;
+  const goalDescription = `${htmlToText(details?.GoalDescription)}\n`;
+  const intervals = getWorkoutIntervals(workout, options);
+  const metadata = getWorkoutMetadata(workout, intervals, options);
+  const labels = formatWorkoutMetadata(metadata);
+  const summary = `${labels.join(' · ')}\n`;
+  const tags = [...new Set([...labels, ...metadata.zones])].map(labelToTag);
+  const segments = intervalsToSegments(intervals, getTextEvents());
+  const fidelityReport = options.fidelityReport === 'description' ?
+    `\n${formatFidelityReport(computeFidelityReport(workout?.WorkoutData,
+        intervals, options))}\n` : '';
+  const intensityNote = (options.intensity ?? 100) !== 100 ?
+    `\nPower targets are ${options.intensity}% of the original workout.\n` :
+    '';
+  const ftpNote = ftpOverride ?
+    `\nPower targets are for an FTP of ${options.ftp} W, whatever the FTP ` +
+      'in your Zwift profile.\n' :
+    '';
+
+  const content = writeXml(createXmlElement('workout_file', {}, [
+    createXmlElement('author', {}, ['TrainerRoad']),
+    createXmlElement('name', {}, [name]),
+    createXmlElement('description', {}, [createCdata(
+        `${summary}\n${workoutDescription}\n${goalDescription}` +
+        `${intensityNote}` +
+        `${ftpNote}${fidelityReport}`)]),
+    createXmlElement('sportType', {}, ['bike']),
+    ...(ftpOverride ?
+      [createXmlElement('ftpOverride', {}, [String(options.ftp)])] : []),
+    createXmlElement('tags', {}, tags),
+    createXmlElement('workout', {}, segments),
+  ]));
+
+  // Read the file back, to make sure Zwift can. Unless the intervals were
+  // edited by hand, they should last as long as the TrainerRoad workout,
+  // from its first data point to its last.
+  const data = workout.WorkoutData;
+  const duration = workout.intervalEdits ?
+    intervals.reduce((total, interval) =>
+      total + getIntervalDuration(interval), 0) :
+    Math.round((data.at(-1).Seconds - data[0].Seconds) / 1000);
+  const problems = validateZwiftWorkout(content, duration);
+  if (problems.length > 0) {
+    throw new ConversionError(`The ZWO file for ${name} isn't valid.`,
+        {problems});
+  }
+
+  return {
+    filename: getWorkoutFilename(name, FileFormat.ZWO),
+    content: content,
+  };
+}
+
+
+/**
+ * The top-level elements of a ZWO file, as written by generateZwiftWorkout,
+ * and whether each is required.
+ * @type {Object<string, boolean>}
+ */
+const zwiftWorkoutElements = Object.freeze({
+  author: false,
+  name: true,
+  description: false,
+  sportType: true,
+  ftpOverride: false,
+  tags: false,
+  workout: true,
+});
+
+
+/**
+ * The segment elements of a ZWO workout, as written by
+ * generateZwiftWorkout, and their attributes, all of which are required.
+ * @type {Object<string, Array<string>>}
+ */
+const zwiftSegmentAttributes = Object.freeze({
+  [IntervalType.STEADY_STATE]: ['Duration', 'Power'],
+  [IntervalType.RAMP]: ['Duration', 'PowerLow', 'PowerHigh'],
+  [IntervalType.WARMUP]: ['Duration', 'PowerLow', 'PowerHigh'],
+  [IntervalType.COOLDOWN]: ['Duration', 'PowerLow', 'PowerHigh'],
+  [IntervalType.FREE_RIDE]: ['Duration'],
+  [IntervalType.OVER_UNDER]: ['Repeat', 'OnDuration', 'OffDuration',
+    'OnPower', 'OffPower'],
+});
+
+
+/**
+ * Checks a ZWO file against the elements and attributes written by
+ * generateZwiftWorkout: the file must be well-formed XML, have the
+ * required elements, only supported segments with valid durations, power
+ * targets and text events, and last as long as expected.
+ * @param {string} content - The content of the ZWO file.
+ * @param {number} duration - The expected duration of the workout, in
+ *                            seconds.
+ * @return {Array<string>} - The problems found, if any.
+ */
+function validateZwiftWorkout(content, duration) {
+  let root;
+  try {
+    root = parseXml(content);
+  } catch (error) {
+    return [`The file isn't well-formed XML: ${error.message}.`];
+  }
+  if (root.name !== 'workout_file') {
+    return [`The root element is <${root.name}>, not <workout_file>.`];
+  }
+
+  const problems = [];
+  const isDuration = (value) => /^[1-9]\d*$/.test(value ?? '');
+  const isPower = (value) => /^\d+(?:\.\d+)?$/.test(value ?? '');
+  const getText = (element) =>
+    element?.children.filter((child) => typeof child === 'string').join('');
+
+  for (const child of root.children) {
+    if (typeof child === 'string') {
+      problems.push('<workout_file> contains text.');
+    } else if (!(child.name in zwiftWorkoutElements)) {
+      problems.push(`<${child.name}> isn't supported.`);
+    }
+  }
+  for (const [name, required] of Object.entries(zwiftWorkoutElements)) {
+    const count = root.children.filter((child) => child.name === name).length;
+    if (required && count === 0) {
+      problems.push(`<${name}> is missing.`);
+    } else if (count > 1) {
+      problems.push(`There is more than one <${name}>.`);
+    }
+  }
+  const find = (name) => root.children.find((child) => child.name === name);
+  if (find('sportType') && getText(find('sportType')) !== 'bike') {
+    problems.push('<sportType> isn\'t bike.');
+  }
+  if (find('ftpOverride') && !isDuration(getText(find('ftpOverride')))) {
+    problems.push('<ftpOverride> isn\'t a whole number of watts.');
+  }
+  for (const tag of find('tags')?.children ?? []) {
+    if (tag.name !== 'tag' || !tag.attributes?.name) {
+      problems.push('<tags> may only contain <tag> elements with a name.');
+    }
+  }
+
+  let total = 0;
+  (find('workout')?.children ?? []).forEach((segment, index) => {
+    const label = `Segment ${index + 1} (<${segment.name}>)`;
+    const attributes = zwiftSegmentAttributes[segment.name];
+    if (!attributes) {
+      problems.push(`${label} isn't supported.`);
+      return;
+    }
+    for (const attribute of Object.keys(segment.attributes)) {
+      if (!attributes.includes(attribute)) {
+        problems.push(`${label}: ${attribute} isn't supported.`);
+      }
+    }
+    for (const attribute of attributes) {
+      const value = segment.attributes[attribute];
+      const valid = attribute.includes('Power') ?
+        isPower(value) : isDuration(value);
+      if (!valid) {
+        problems.push(`${label}: invalid or missing ${attribute}.`);
+      }
+    }
+    const {Duration, Repeat, OnDuration, OffDuration} = segment.attributes;
+    const segmentDuration = segment.name === IntervalType.OVER_UNDER ?
+      Number(Repeat) * (Number(OnDuration) + Number(OffDuration)) :
+      Number(Duration);
+    for (const event of segment.children) {
+      const offset = event.attributes?.timeoffset;
+      if (event.name !== 'textevent' || !event.attributes.message) {
+        problems.push(`${label} may only contain <textevent> elements ` +
+            'with a message.');
+      } else if (!/^\d+$/.test(offset) || Number(offset) >= segmentDuration) {
+        problems.push(`${label}: text event at invalid time ${offset}.`);
+      }
+    }
+    total += segmentDuration;
+  });
+  if (total !== duration) {
+    problems.push(`The segments last ${total} s, not ${duration} s.`);
+  }
+  return problems;
+}
+
+
+/**
+ * Generates an MRC or ERG course file based on the provided workout and
+ * options. Both formats describe the workout as a series of time/power
+ * points, with MRC power targets expressed as a percentage of FTP and ERG
+ * power targets expressed in watts, based on the FTP in the options.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @param {Object} options - The options object for generating the workout.
+ * @param {string} format - The file format, either FileFormat.MRC or
+ *                          FileFormat.ERG.
+ * @return {Object} - An object containing the filename and content of the
+ *                    generated course file.
+ */
+function generateCourseFile(workout, options, format) {
+  /**
+   * Converts a percentage of FTP to the power units of the course file.
+   * @param {number} percentage - The power target as a percentage of FTP.
+   * @return {string} - Watts for ERG files, percent of FTP for MRC files.
+   */
+  function formatPower(percentage) {
+    if (format === FileFormat.ERG) {
+      return Math.round(percentage * options.ftp / 100).toString();
+    }
+    return Number(percentage.toFixed(1)).toString();
+  }
+
+  const name =
+      getWorkoutName(workout, options, format === FileFormat.ERG);
+  const filename = getWorkoutFilename(name, format);
+  const intervals = getWorkoutIntervals(workout, options);
+  const points = getPowerPoints(intervals).map((point) =>
+    `${(point.seconds / 60).toFixed(3)}\t${formatPower(point.power)}`)
+      .join('\n');
+  const units = format === FileFormat.ERG ?
+    `FTP = ${options.ftp}\nMINUTES WATTS` : `MINUTES PERCENT`;
+
+  const content = `[COURSE HEADER]\n` +
+    `VERSION = 2\n` +
+    `UNITS = ENGLISH\n` +
+    `DESCRIPTION = ${name}\n` +
+    `FILE NAME = ${filename}\n` +
+    `${units}\n` +
+    `[END COURSE HEADER]\n` +
+    `[COURSE DATA]\n` +
+    `${points}\n` +
+    `[END COURSE DATA]\n`;
+
+  return {
+    filename: filename,
+    content: content,
+  };
+}
+
+
+/**
+ * Generates a workout file in the requested format.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @param {Object} options - The options object for generating the workout.
+ * @param {string} format - The file format (see FileFormat).
+ * @param {Date} [date=new Date()] - The time the file is created, for
+ *                                   formats that record it (FIT).
+ * @return {Object} - An object containing the filename and content of the
+ *                    generated workout file.
+ * @throws {ConversionError} - If the workout isn't in the expected format
+ *                             (see validateWorkout).
+ */
+function generateWorkoutFile(workout, options, format, date = new Date()) {
+  assertValidWorkout(workout);
+  switch (format) {
+    case FileFormat.MRC:
+    case FileFormat.ERG:
+      return generateCourseFile(workout, options, format);
+    case FileFormat.FIT:
+      return generateFitWorkout(workout, options, date);
+    case FileFormat.ZWO:
+      return generateZwiftWorkout(workout, options);
+    default:
+      throw new ConversionError(`Unknown workout file format: ${format}`);
+  }
+}
+
+
+// In the extension, the conversion core is a set of content scripts sharing
+// one global scope. Under Node, each file is a module that exports what it
+// defines and imports what it uses from the others. The exports are assigned
+// first, as fit.js, xp.js and text.js import from this module in turn.
+if (typeof module !== 'undefined') {
+  module.exports = {
+    IntervalType,
+    FileFormat,
+    fileFormatLabels,
+    optionDefinitions,
+    defaultOptions,
+    checkOption,
+    sanitizeOptions,
+    scaleWorkoutData,
+    ConversionError,
+    validateWorkout,
+    assertValidWorkout,
+    getZwiftIntervals,
+    getIntervalDuration,
+    getPowerPoints,
+    getIntervalErrors,
+    getWorkoutIntervals,
+    getWorkoutName,
+    getWorkoutFilename,
+    getWorkoutMetadata,
+    generateZwiftWorkout,
+    validateZwiftWorkout,
+    generateCourseFile,
+    generateWorkoutFile,
+  };
+  /* eslint-disable no-var */
+  var {generateFitWorkout} = require('./fit.js');
+  var {getPowerSeries, getPowerMetrics, computeFidelityReport,
+    formatFidelityReport} = require('./report.js');
+  var {optimizeForXp} = require('./xp.js');
+  var {createXmlElement, createCdata, writeXml, parseXml} =
+      require('./xml.js');
+  /* eslint-enable no-var */
+}
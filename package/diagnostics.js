@@ -0,0 +1,139 @@
+/**
+ * diagnostics.js
+ *
+ * Reports errors to the user, and collects a diagnostic bundle (the raw
+ * TrainerRoad response, the options and the extension version) that can be
+ * attached to an issue when a workout can't be converted.
+ */
+
+/* global ConversionError, validateWorkout, isWorkoutPage, getWorkoutId,
+          fetchWorkoutDetails, lastWorkoutResponse, getOptions,
+          downloadContentAsFile, showNotice */
+/* exported showErrorNotice, showFailuresNotice, copyDiagnosticBundle */
+
+
+/**
+ * Where to report issues.
+ * @type {string}
+ */
+const issuesUrl = 'https://github.com/jsmattsonjr/trzwo/issues';
+
+
+/**
+ * Collects the diagnostic bundle.
+ * @param {Error} [error] - The error being diagnosed, if any.
+ * @return {Promise<Object>} A promise that resolves to the bundle.
+ */
+async function getDiagnosticBundle(error) {
+  const manifest = chrome.runtime.getManifest();
+  let options;
+  try {
+    options = await getOptions();
+  } catch (optionsError) {
+    options = `Unavailable: ${optionsError.message}`;
+  }
+  let response;
+  if (lastWorkoutResponse) {
+    let body = lastWorkoutResponse.text;
+    try {
+      body = JSON.parse(body);
+    } catch (parseError) {
+      // Keep the raw text, e.g. a login page.
+    }
+    response = {
+      url: lastWorkoutResponse.url,
+      status: lastWorkoutResponse.status,
+      validation: typeof body === 'object' ?
+        validateWorkout(body?.Workout) : undefined,
+      body,
+    };
+  }
+  return {
+    extension: manifest.name,
+    version: manifest.version,
+    userAgent: navigator.userAgent,
+    page: document.location.href,
+    time: new Date().toISOString(),
+    options,
+    error: error && {
+      name: error.name,
+      message: error.message,
+      problems: error.problems,
+      cause: error.cause && String(error.cause),
+      stack: error.stack,
+    },
+    response,
+  };
+}
+
+
+/**
+ * Copies the diagnostic bundle to the clipboard, or downloads it if the
+ * clipboard isn't available. On a workout page, the workout is fetched
+ * first if it hasn't been already, so the bundle has its raw response.
+ * @param {Error} [error] - The error being diagnosed, if any.
+ * @return {Promise<void>} A promise that resolves when the bundle is copied.
+ */
+async function copyDiagnosticBundle(error) {
+  if (!error && isWorkoutPage() &&
+      !lastWorkoutResponse?.url.endsWith(`/${getWorkoutId()}`)) {
+    try {
+      await fetchWorkoutDetails(getWorkoutId());
+    } catch (fetchError) {
+      error = fetchError;
+    }
+  }
+  const bundle = JSON.stringify(await getDiagnosticBundle(error), null, 2);
+  try {
+    await navigator.clipboard.writeText(bundle);
+    showNotice('Diagnostics copied. Please paste them into an issue at ' +
+        `${issuesUrl}.`, {level: 'warning'});
+  } catch (clipboardError) {
+    downloadContentAsFile(bundle, 'trzwo-diagnostics.json');
+  }
+}
+
+
+/**
+ * Reports an error to the user, with an action to copy the diagnostic
+ * bundle. Conversion errors have messages meant for the user; other
+ * errors are unexpected.
+ * @param {Error} error - The error.
+ */
+function showErrorNotice(error) {
+  console.error('ZWO export failure: ', error);
+  const message = error instanceof ConversionError ? error.message :
+    `Something went wrong: ${error.message}`;
+  showNotice(message, {
+    level: 'error',
+    details: error.problems ?? [],
+    actions: [{
+      label: 'Copy diagnostics',
+      action: () => copyDiagnosticBundle(error),
+    }],
+  });
+}
+
+
+/**
+ * Reports the errors from exporting several workouts in one notice, with
+ * an action to copy the diagnostic bundle for the first one.
+ * @param {string} message - The message, e.g. how many workouts were
+ *                           exported.
+ * @param {Array<Object>} failures - The failures, each an object with
+ *                                   'workoutId' and 'error' attributes.
+ */
+function showFailuresNotice(message, failures) {
+  for (const {workoutId, error} of failures) {
+    console.error(`Error exporting workout ${workoutId}: `, error);
+  }
+  showNotice(message, {
+    level: 'error',
+    details: failures.map(({workoutId, error}) =>
+      `Workout ${workoutId}: ${error.message}`),
+    actions: [{
+      label: 'Copy diagnostics',
+      action: () => copyDiagnosticBundle(failures[0].error),
+    }],
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * download.js
+ *
+ * Downloads generated files through a temporary link, as Chrome does for
+ * any download from a page. Used by the content script and the options
+ * page.
+ */
+
+/* exported downloadContentAsFile */
+
+
+/**
+ * Downloads a string or binary content as a file.
+ * @param {string|Uint8Array} content - The content to be downloaded.
+ * @param {string} filename - The name of the file to be downloaded.
+ */
+function downloadContentAsFile(content, filename) {
+  const type = typeof content === 'string' ? 'text/plain' :
+                                             'application/octet-stream';
+  const blob = new Blob([content], {type});
+  const url = URL.createObjectURL(blob);
+  const downloadLink = document.createElement('a');
+
+  downloadLink.href = url;
+  downloadLink.download = filename;
+  document.body.appendChild(downloadLink);
+
+  downloadLink.click();
+
+  document.body.removeChild(downloadLink);
+  URL.revokeObjectURL(url);
+}
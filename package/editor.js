@@ -0,0 +1,288 @@
+/**
+ * editor.js
+ *
+ * An editable table of Zwift intervals, shown in the preview, for fixing
+ * the odd interval by hand, e.g. undoing an over-under that shouldn't have
+ * been merged or shortening a cooldown.
+ */
+
+/* global IntervalType, getIntervalDuration, getIntervalErrors */
+/* exported createIntervalEditor */
+
+
+/**
+ * Converts an interval to another type, keeping its duration and power
+ * targets where the new type has them.
+ * @param {Object} interval - The interval.
+ * @param {string} type - The new interval type.
+ * @return {Object} - The new interval.
+ */
+function convertIntervalType(interval, type) {
+  const duration = getIntervalDuration(interval);
+  const startPower = interval.startPower ?? interval.onPower;
+  const endPower = interval.endPower ?? interval.offPower;
+  switch (type) {
+    case IntervalType.STEADY_STATE:
+    case IntervalType.FREE_RIDE:
+      return {type, duration, startPower, endPower: startPower};
+    case IntervalType.RAMP:
+    case IntervalType.WARMUP:
+    case IntervalType.COOLDOWN:
+      return {type, duration, startPower, endPower};
+    case IntervalType.OVER_UNDER:
+      return {
+        type,
+        repeat: 1,
+        onDuration: Math.max(1, Math.floor(duration / 2)),
+        offDuration: Math.max(1, duration - Math.floor(duration / 2)),
+        onPower: startPower,
+        offPower: endPower,
+      };
+    default:
+      return interval;
+  }
+}
+
+
+/**
+ * Splits an interval in two halves. Over-unders are split into their
+ * individual steady-state intervals instead.
+ * @param {Object} interval - The interval.
+ * @return {Array} - The intervals replacing it.
+ */
+function splitInterval(interval) {
+  if (interval.type === IntervalType.OVER_UNDER) {
+    const steadyStates = [];
+    for (let repeat = 0; repeat < interval.repeat; repeat++) {
+      steadyStates.push(
+          convertIntervalType({duration: interval.onDuration,
+            startPower: interval.onPower}, IntervalType.STEADY_STATE),
+          convertIntervalType({duration: interval.offDuration,
+            startPower: interval.offPower}, IntervalType.STEADY_STATE));
+    }
+    return steadyStates;
+  }
+  const firstDuration = Math.floor(interval.duration / 2);
+  if (firstDuration < 1) {
+    return [interval];
+  }
+  const midPower = interval.startPower + (interval.endPower -
+      interval.startPower) * firstDuration / interval.duration;
+  return [
+    {...interval, duration: firstDuration, endPower: midPower},
+    {...interval, duration: interval.duration - firstDuration,
+      startPower: midPower},
+  ];
+}
+
+
+/**
+ * Merges two consecutive intervals into one. Over-unders with the same
+ * durations and power targets are merged by adding up their repeats;
+ * steady states and free rides are merged at their average power; other
+ * intervals become a ramp from the start of the first to the end of the
+ * second.
+ * @param {Object} a - The first interval.
+ * @param {Object} b - The second interval.
+ * @return {Object|undefined} - The merged interval, or undefined if they
+ *                              can't be merged.
+ */
+function mergeIntervals(a, b) {
+  if (a.type === IntervalType.OVER_UNDER ||
+      b.type === IntervalType.OVER_UNDER) {
+    const same = a.type === b.type && a.onDuration === b.onDuration &&
+        a.offDuration === b.offDuration && a.onPower === b.onPower &&
+        a.offPower === b.offPower;
+    return same ? {...a, repeat: a.repeat + b.repeat} : undefined;
+  }
+  const duration = a.duration + b.duration;
+  if (a.type === b.type && a.startPower === a.endPower &&
+      b.startPower === b.endPower) {
+    const power =
+        (a.startPower * a.duration + b.startPower * b.duration) / duration;
+    return {...a, duration, startPower: power, endPower: power};
+  }
+  const type = a.type === IntervalType.STEADY_STATE ||
+      a.type === IntervalType.FREE_RIDE ? IntervalType.RAMP : a.type;
+  return {type, duration, startPower: a.startPower, endPower: b.endPower};
+}
+
+
+/**
+ * Creates an editable table of Zwift intervals. Each row can be changed,
+ * split, merged with the next row, deleted, or followed by a new row.
+ * @param {Array} intervals - The intervals to edit. The array and its
+ *                            intervals are changed in place.
+ * @param {Function} onChange - Called with the intervals and the problems
+ *                              found by getIntervalErrors after each edit.
+ * @return {HTMLElement} - The editor.
+ */
+function createIntervalEditor(intervals, onChange) {
+  const editor = document.createElement('div');
+  const table = document.createElement('table');
+  const addButton = document.createElement('button');
+  const errorList = document.createElement('ul');
+
+  /**
+   * Lists any problems with the intervals.
+   * @return {Array<string>} - The problems.
+   */
+  function showErrors() {
+    const errors = getIntervalErrors(intervals);
+    errorList.replaceChildren(...errors.map((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    }));
+    return errors;
+  }
+
+  /**
+   * Reports an edit.
+   */
+  function changed() {
+    onChange(intervals, showErrors());
+  }
+
+  /**
+   * Replaces intervals, then redraws the table.
+   * @param {number} index - The index of the first interval to replace.
+   * @param {number} count - The number of intervals to replace.
+   * @param {...Object} replacements - The new intervals.
+   */
+  function replace(index, count, ...replacements) {
+    intervals.splice(index, count, ...replacements);
+    renderRows();
+    changed();
+  }
+
+  /**
+   * Creates a number input for an attribute of an interval, or an empty
+   * cell if the interval doesn't have the attribute.
+   * @param {Object} interval - The interval.
+   * @param {string} key - The attribute.
+   * @param {string} label - The accessible label of the input.
+   * @return {HTMLTableCellElement} - The cell.
+   */
+  function createNumberCell(interval, key, label) {
+    const cell = document.createElement('td');
+    if (!(key in interval)) {
+      return cell;
+    }
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.step = 'any';
+    input.value = Number(interval[key].toFixed(1));
+    input.setAttribute('aria-label', label);
+    input.addEventListener('change', () => {
+      interval[key] = input.valueAsNumber;
+      if (key === 'startPower' &&
+          (interval.type === IntervalType.STEADY_STATE ||
+           interval.type === IntervalType.FREE_RIDE)) {
+        interval.endPower = interval.startPower;
+      }
+      changed();
+    });
+    cell.appendChild(input);
+    return cell;
+  }
+
+  /**
+   * Creates a button that edits the intervals.
+   * @param {string} text - The text of the button.
+   * @param {string} label - The accessible label of the button.
+   * @param {Function} action - Called when the button is clicked.
+   * @return {HTMLButtonElement} - The button.
+   */
+  function createButton(text, label, action) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', action);
+    return button;
+  }
+
+  /**
+   * Redraws the rows of the table.
+   */
+  function renderRows() {
+    const header = document.createElement('tr');
+    for (const text of ['#', 'Type', 'Repeat', 'Duration (s)', 'Power (%)',
+      'End/off power (%)', 'Off duration (s)', '']) {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    }
+    const rows = intervals.map((interval, index) => {
+      const row = document.createElement('tr');
+      const number = document.createElement('td');
+      const typeCell = document.createElement('td');
+      const typeSelect = document.createElement('select');
+      const actions = document.createElement('td');
+      const overUnder = interval.type === IntervalType.OVER_UNDER;
+      const ramp = 'endPower' in interval &&
+          interval.type !== IntervalType.STEADY_STATE &&
+          interval.type !== IntervalType.FREE_RIDE;
+      const name = `interval ${index + 1}`;
+
+      number.textContent = String(index + 1);
+      for (const type of Object.values(IntervalType)) {
+        typeSelect.appendChild(new Option(type, type));
+      }
+      typeSelect.value = interval.type;
+      typeSelect.setAttribute('aria-label', `Type of ${name}`);
+      typeSelect.addEventListener('change', () => {
+        replace(index, 1, convertIntervalType(interval, typeSelect.value));
+      });
+      typeCell.appendChild(typeSelect);
+
+      const next = intervals[index + 1];
+      const merge = createButton('Merge', `Merge ${name} with the next`,
+          () => replace(index, 2, mergeIntervals(interval, next)));
+      merge.disabled = !next || !mergeIntervals(interval, next);
+      actions.append(
+          createButton('Split', `Split ${name}`,
+              () => replace(index, 1, ...splitInterval(interval))),
+          merge,
+          createButton('Delete', `Delete ${name}`, () => replace(index, 1)),
+          createButton('Add', `Add an interval after ${name}`,
+              () => replace(index + 1, 0, {
+                type: IntervalType.STEADY_STATE,
+                duration: 60,
+                startPower: interval.endPower ?? interval.offPower,
+                endPower: interval.endPower ?? interval.offPower,
+              })));
+
+      row.append(number, typeCell,
+          createNumberCell(interval, 'repeat', `Repeats of ${name}`),
+          createNumberCell(interval, overUnder ? 'onDuration' : 'duration',
+              `Duration of ${name}`),
+          createNumberCell(interval, overUnder ? 'onPower' : 'startPower',
+              `Power of ${name}`),
+          overUnder || ramp ?
+            createNumberCell(interval, overUnder ? 'offPower' : 'endPower',
+                `End or off power of ${name}`) :
+            document.createElement('td'),
+          createNumberCell(interval, 'offDuration', `Off duration of ${name}`),
+          actions);
+      return row;
+    });
+    table.replaceChildren(header, ...rows);
+  }
+
+  editor.className = 'ZWO-editor';
+  table.className = 'ZWO-preview-report';
+  errorList.className = 'ZWO-editor-errors';
+  addButton.textContent = 'Add interval';
+  addButton.addEventListener('click', () => {
+    const last = intervals.at(-1);
+    const power = last?.endPower ?? last?.offPower ?? 50;
+    replace(intervals.length, 0, {type: IntervalType.STEADY_STATE,
+      duration: 60, startPower: power, endPower: power});
+  });
+  editor.append(table, addButton, errorList);
+  renderRows();
+  showErrors();
+  return editor;
+}
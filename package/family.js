@@ -0,0 +1,147 @@
+/**
+ * family.js
+ *
+ * Downloads a whole family of TrainerRoad workouts from a workout page: the
+ * workout and its alternates at other progression levels, e.g. 'Baxter -1',
+ * 'Baxter' and 'Baxter +1', as linked from the page. Each is converted with
+ * the current options and renamed so that the family sorts by level.
+ */
+
+/* global getWorkoutId, getLinkedWorkoutId, fetchWorkoutDetails, getOptions,
+          getWorkoutOptions, getEditedWorkout, generateWorkoutFile,
+          saveWorkoutFile, recordExport, showNotice, showErrorNotice,
+          showFailuresNotice */
+/* exported downloadWorkoutFamily */
+
+
+/**
+ * Splits the name of a workout into the name of its family and its offset
+ * from the family's base workout, e.g. 'Baxter -2' into 'Baxter' and -2.
+ * @param {string} name - The workout name.
+ * @return {Object} - An object with 'base' and 'offset' attributes.
+ */
+function parseFamilyName(name) {
+  const match = /^(.*\S)\s+([+-]\d+)$/.exec(name.trim());
+  return match ? {base: match[1], offset: Number(match[2])} :
+    {base: name.trim(), offset: 0};
+}
+
+
+/**
+ * Finds the workouts linked from the current page that may belong to a
+ * family: those whose link text, title or label includes the family name.
+ * @param {string} base - The name of the family.
+ * @return {Array<string>} - The IDs of the workouts, without duplicates.
+ */
+function findFamilyLinks(base) {
+  const ids = new Set();
+  for (const link of document.querySelectorAll('a[href*="/workouts/"]')) {
+    const id = getLinkedWorkoutId(link);
+    const text = [link.textContent, link.title,
+      link.getAttribute('aria-label')].join(' ').toLowerCase();
+    if (id && text.includes(base.toLowerCase())) {
+      ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+
+/**
+ * Orders the workouts of a family by progression level, or by their offset
+ * if any level is unknown, and names each with its rank and level, e.g.
+ * 'Baxter 2 (Level 4.3)', or its offset, e.g. 'Baxter 1 (-1)', so that
+ * the files and the Zwift workout list sort the same way.
+ * @param {Array<Object>} members - The workouts, with 'base', 'offset' and
+ *                                  'level' (or undefined) attributes.
+ * @return {Array<Object>} - The workouts in order, each with a 'name'.
+ */
+function nameFamilyMembers(members) {
+  const byLevel = members.every((member) => Number.isFinite(member.level));
+  const sorted = [...members].sort((a, b) =>
+    (byLevel ? a.level - b.level : 0) || a.offset - b.offset);
+  const width = String(sorted.length).length;
+  return sorted.map((member, index) => {
+    const rank = String(index + 1).padStart(width, '0');
+    const label = byLevel ? ` (Level ${member.level.toFixed(1)})` :
+      member.offset > 0 ? ` (+${member.offset})` :
+      member.offset < 0 ? ` (${member.offset})` : '';
+    return {...member, name: `${member.base} ${rank}${label}`};
+  });
+}
+
+
+/**
+ * Downloads the current workout and the alternates linked from its page,
+ * each converted with the current options (and any options or edited
+ * intervals saved for it), and renamed by nameFamilyMembers. Errors are
+ * reported to the user.
+ * @return {Promise<void>} A promise that resolves when the workouts are
+ *                         downloaded.
+ */
+async function downloadWorkoutFamily() {
+  try {
+    const workoutId = getWorkoutId();
+    const workoutDetails = await fetchWorkoutDetails(workoutId);
+    const {base} =
+        parseFamilyName(workoutDetails?.Workout?.Details?.WorkoutName ?? '');
+    if (!base) {
+      showNotice('This workout has no name, so its alternates can\'t be ' +
+          'found.', {level: 'warning'});
+      return;
+    }
+    const candidates = [workoutId,
+      ...findFamilyLinks(base).filter((id) => id !== workoutId)];
+    const members = [];
+    const failures = [];
+    for (const id of candidates) {
+      try {
+        const details = await fetchWorkoutDetails(id);
+        const workout = await getEditedWorkout(id, details?.Workout);
+        const family = parseFamilyName(workout?.Details?.WorkoutName ?? '');
+        if (family.base.toLowerCase() === base.toLowerCase()) {
+          members.push({workoutId: id, workout, ...family,
+            level: workout.Details.ProgressionLevel});
+        }
+      } catch (error) {
+        failures.push({workoutId: id, error});
+      }
+    }
+    if (members.length <= 1 && failures.length === 0) {
+      showNotice(`No alternates of ${base} were found on this page. Show ` +
+          'its alternates first, then try again.', {level: 'warning'});
+      return;
+    }
+
+    showNotice(`Downloading ${members.length} workouts of the ${base} ` +
+        'family…');
+    const options = await getOptions();
+    let downloaded = 0;
+    for (const member of nameFamilyMembers(members)) {
+      try {
+        const workoutOptions =
+            await getWorkoutOptions(member.workoutId, options);
+        const workout = {...member.workout,
+          Details: {...member.workout.Details, WorkoutName: member.name}};
+        const date = new Date();
+        const workoutFile = generateWorkoutFile(workout, workoutOptions,
+            options.format, date);
+        await saveWorkoutFile(workoutFile, workoutOptions);
+        await recordExport(member.workoutId, workout, workoutOptions,
+            options.format, workoutFile, date);
+        downloaded++;
+      } catch (error) {
+        failures.push({workoutId: member.workoutId, error});
+      }
+    }
+    const total = downloaded + failures.length;
+    if (failures.length > 0) {
+      showFailuresNotice(`Downloaded ${downloaded} of ${total} workouts ` +
+          `of the ${base} family.`, failures);
+    } else {
+      showNotice(`Downloaded ${downloaded} workouts of the ${base} family.`);
+    }
+  } catch (error) {
+    showErrorNotice(error);
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * fit.js
+ *
+ * A minimal, self-contained encoder for Garmin FIT workout files. Only the
+ * messages needed to describe a structured workout (file_id, workout and
+ * workout_step) are supported. See the FIT SDK's Profile.xlsx for the
+ * definitions of the message and field numbers used here.
+ */
+
+/* global module, require */
+/* exported generateFitWorkout */
+
+
+/**
+ * Enum representing the FIT base types used by the encoder.
+ * @enum {Object}
+ * @readonly
+ */
+const FitBaseType = Object.freeze({
+  ENUM: {id: 0x00, size: 1},
+  UINT16: {id: 0x84, size: 2},
+  UINT32: {id: 0x86, size: 4},
+  STRING: {id: 0x07, size: 1}, // Size is per character, including the NUL
+});
+
+
+/**
+ * FIT profile constants for workout files.
+ * @enum {number}
+ * @readonly
+ */
+const FitConstant = Object.freeze({
+  MESG_FILE_ID: 0,
+  MESG_WORKOUT: 26,
+  MESG_WORKOUT_STEP: 27,
+  FILE_WORKOUT: 5,
+  MANUFACTURER_DEVELOPMENT: 255,
+  SPORT_CYCLING: 2,
+  DURATION_TIME: 0, // Duration value in milliseconds
+  DURATION_REPEAT_UNTIL_STEPS_CMPLT: 6, // Duration value is a step index
+  TARGET_POWER: 4,
+  TARGET_OPEN: 2,
+  INTENSITY_ACTIVE: 0,
+  INTENSITY_REST: 1,
+  INTENSITY_WARMUP: 2,
+  INTENSITY_COOLDOWN: 3,
+  EPOCH_OFFSET: 631065600, // Seconds from 1970-01-01 to 1989-12-31 (UTC)
+});
+
+
+/**
+ * Computes the FIT CRC-16 of a sequence of bytes.
+ * @param {Array<number>} bytes - The bytes to checksum.
+ * @param {number} [start=0] - The index of the first byte to include.
+ * @param {number} [end=bytes.length] - The index after the last byte.
+ * @return {number} - The CRC.
+ */
+function fitCrc(bytes, start = 0, end = bytes.length) {
+  const crcTable = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+  ];
+  let crc = 0;
+  for (let index = start; index < end; index++) {
+    const byte = bytes[index];
+    let tmp = crcTable[crc & 0xF];
+    crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ crcTable[byte & 0xF];
+    tmp = crcTable[crc & 0xF];
+    crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ crcTable[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+
+/**
+ * Encodes a list of messages as a FIT file. Each message is an object with
+ * a 'globalNumber' and an array of 'fields', each of which has a field
+ * 'number', a 'type' (see FitBaseType) and a 'value'. A definition message
+ * is written whenever the layout of a data message differs from the previous
+ * one, so all data messages can use local message type 0.
+ * @param {Array<Object>} messages - The messages to encode.
+ * @return {Uint8Array} - The encoded FIT file.
+ */
+function encodeFitFile(messages) {
+  const bytes = [];
+
+  /**
+   * Appends an unsigned little-endian integer.
+   * @param {number} value - The value to append.
+   * @param {number} size - The size of the value in bytes.
+   */
+  function writeUint(value, size) {
+    for (let index = 0; index < size; index++) {
+      bytes.push(Math.floor(value / 2 ** (8 * index)) & 0xFF);
+    }
+  }
+
+  /**
+   * Encodes a string as NUL-terminated UTF-8, truncating it if necessary
+   * so that it fits in a FIT field.
+   * @param {string} value - The string to encode.
+   * @return {Uint8Array} - The encoded string.
+   */
+  function encodeString(value) {
+    const maxLength = 63; // Excluding the NUL terminator
+    const encoder = new TextEncoder();
+    let chars = Array.from(value ?? '');
+    while (encoder.encode(chars.join('')).length > maxLength) {
+      chars = chars.slice(0, -1);
+    }
+    const encoded = encoder.encode(chars.join(''));
+    const result = new Uint8Array(encoded.length + 1);
+    result.set(encoded);
+    return result;
+  }
+
+  /**
+   * Determines the sizes of the fields of a message.
+   * @param {Object} message - The message.
+   * @return {Array<number>} - The size of each field in bytes.
+   */
+  function fieldSizes(message) {
+    return message.fields.map((field) => field.type === FitBaseType.STRING ?
+      encodeString(field.value).length : field.type.size);
+  }
+
+  // File header, with the data size filled in below.
+  writeUint(14, 1); // Header size
+  writeUint(0x20, 1); // Protocol version 2.0
+  writeUint(2132, 2); // Profile version 21.32
+  writeUint(0, 4); // Data size
+  for (const char of '.FIT') {
+    bytes.push(char.charCodeAt(0));
+  }
+  writeUint(fitCrc(bytes), 2);
+
+  let previousLayout;
+  for (const message of messages) {
+    const sizes = fieldSizes(message);
+    const layout = JSON.stringify([message.globalNumber,
+      message.fields.map((field, index) =>
+        [field.number, sizes[index], field.type.id])]);
+    if (layout !== previousLayout) {
+      writeUint(0x40, 1); // Definition message, local message type 0
+      writeUint(0, 1); // Reserved
+      writeUint(0, 1); // Little-endian architecture
+      writeUint(message.globalNumber, 2);
+      writeUint(message.fields.length, 1);
+      message.fields.forEach((field, index) => {
+        writeUint(field.number, 1);
+        writeUint(sizes[index], 1);
+        writeUint(field.type.id, 1);
+      });
+      previousLayout = layout;
+    }
+    writeUint(0x00, 1); // Data message, local message type 0
+    for (const field of message.fields) {
+      if (field.type === FitBaseType.STRING) {
+        bytes.push(...encodeString(field.value));
+      } else {
+        writeUint(field.value, field.type.size);
+      }
+    }
+  }
+
+  // Fill in the data size and header CRC, then append the file CRC.
+  const dataSize = bytes.length - 14;
+  for (let index = 0; index < 4; index++) {
+    bytes[4 + index] = (dataSize >> (8 * index)) & 0xFF;
+  }
+  const headerCrc = fitCrc(bytes, 0, 12);
+  bytes[12] = headerCrc & 0xFF;
+  bytes[13] = headerCrc >> 8;
+  writeUint(fitCrc(bytes), 2);
+
+  return new Uint8Array(bytes);
+}
+
+
+/**
+ * Generates a FIT workout file based on the provided workout and options.
+ * Steady-state intervals become single steps, over-unders become a pair of
+ * steps followed by a repeat step, and ramps become either a series of
+ * steady-state steps or a single step targeting the whole power range,
+ * depending on options.fitRampMode.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @param {Object} options - The options object for generating the workout.
+ * @param {Date} [date=new Date()] - The time the file is created, which is
+ *                                   recorded in the file.
+ * @return {Object} - An object containing the filename and content (as a
+ *                    Uint8Array) of the generated FIT workout file.
+ */
+function generateFitWorkout(workout, options, date = new Date()) {
+  const steps = [];
+
+  /**
+   * Appends a timed workout step with a power target.
+   * @param {number} duration - The duration of the step in seconds.
+   * @param {number} lowPower - The low end of the power target, in %FTP.
+   * @param {number} highPower - The high end of the power target, in %FTP.
+   * @param {number} [intensity] - The FIT intensity of the step.
+   */
+  function addPowerStep(duration, lowPower, highPower,
+      intensity = FitConstant.INTENSITY_ACTIVE) {
+    steps.push({
+      durationType: FitConstant.DURATION_TIME,
+      durationValue: duration * 1000,
+      targetType: FitConstant.TARGET_POWER,
+      targetValue: 0, // Custom target
+      lowPower: Math.round(lowPower),
+      highPower: Math.round(highPower),
+      intensity,
+    });
+  }
+
+  /**
+   * Appends a timed workout step without a power target.
+   * @param {number} duration - The duration of the step in seconds.
+   */
+  function addOpenStep(duration) {
+    steps.push({
+      durationType: FitConstant.DURATION_TIME,
+      durationValue: duration * 1000,
+      targetType: FitConstant.TARGET_OPEN,
+      targetValue: 0,
+      lowPower: 0,
+      highPower: 0,
+      intensity: FitConstant.INTENSITY_ACTIVE,
+    });
+  }
+
+  /**
+   * Appends a step that repeats the steps starting at the given index.
+   * @param {number} fromStep - The index of the first step to repeat.
+   * @param {number} repeat - The total number of repetitions.
+   */
+  function addRepeatStep(fromStep, repeat) {
+    steps.push({
+      durationType: FitConstant.DURATION_REPEAT_UNTIL_STEPS_CMPLT,
+      durationValue: fromStep,
+      targetType: FitConstant.TARGET_OPEN,
+      targetValue: repeat,
+      lowPower: 0,
+      highPower: 0,
+      intensity: FitConstant.INTENSITY_ACTIVE,
+    });
+  }
+
+  /**
+   * Appends a ramp as a series of steady-state steps of about a minute each,
+   * with each step targeting the average power over its part of the ramp.
+   * @param {Object} i - The ramp interval.
+   * @param {number} intensity - The FIT intensity of the steps.
+   */
+  function addSteppedRamp(i, intensity) {
+    const stepDuration = 60;
+    const count = Math.max(1, Math.round(i.duration / stepDuration));
+    let elapsed = 0;
+    for (let step = 1; step <= count; step++) {
+      const end = Math.round(i.duration * step / count);
+      const midpoint = (elapsed + end) / 2;
+      const power = i.startPower +
+          (i.endPower - i.startPower) * midpoint / i.duration;
+      addPowerStep(end - elapsed, power, power, intensity);
+      elapsed = end;
+    }
+  }
+
+  /**
+   * Appends a ramp, depending on options.fitRampMode.
+   * @param {Object} i - The ramp interval.
+   * @param {number} intensity - The FIT intensity of the step(s).
+   */
+  function addRamp(i, intensity) {
+    if (options.fitRampMode === 'range') {
+      addPowerStep(i.duration, Math.min(i.startPower, i.endPower),
+          Math.max(i.startPower, i.endPower), intensity);
+    } else {
+      addSteppedRamp(i, intensity);
+    }
+  }
+
+  for (const i of getWorkoutIntervals(workout, options)) {
+    switch (i.type) {
+      case IntervalType.STEADY_STATE:
+        addPowerStep(i.duration, i.startPower, i.endPower);
+        break;
+      case IntervalType.RAMP:
+        addRamp(i, FitConstant.INTENSITY_ACTIVE);
+        break;
+      case IntervalType.WARMUP:
+        addRamp(i, FitConstant.INTENSITY_WARMUP);
+        break;
+      case IntervalType.COOLDOWN:
+        addRamp(i, FitConstant.INTENSITY_COOLDOWN);
+        break;
+      case IntervalType.FREE_RIDE:
+        addOpenStep(i.duration);
+        break;
+      case IntervalType.OVER_UNDER: {
+        const fromStep = steps.length;
+        addPowerStep(i.onDuration, i.onPower, i.onPower);
+        addPowerStep(i.offDuration, i.offPower, i.offPower,
+            FitConstant.INTENSITY_REST);
+        addRepeatStep(fromStep, i.repeat);
+        break;
+      }
+      default:
+        throw new ConversionError(`Unknown Zwift interval type: ${i.type}`);
+    }
+  }
+
+  const name = getWorkoutName(workout, options);
+  const messages = [
+    {
+      globalNumber: FitConstant.MESG_FILE_ID,
+      fields: [
+        {number: 0, type: FitBaseType.ENUM, value: FitConstant.FILE_WORKOUT},
+        {number: 1, type: FitBaseType.UINT16,
+          value: FitConstant.MANUFACTURER_DEVELOPMENT},
+        {number: 2, type: FitBaseType.UINT16, value: 0}, // Product
+        {number: 4, type: FitBaseType.UINT32, // Time created
+          value: Math.floor(date.getTime() / 1000) - FitConstant.EPOCH_OFFSET},
+      ],
+    },
+    {
+      globalNumber: FitConstant.MESG_WORKOUT,
+      fields: [
+        {number: 4, type: FitBaseType.ENUM, value: FitConstant.SPORT_CYCLING},
+        {number: 6, type: FitBaseType.UINT16, value: steps.length},
+        {number: 8, type: FitBaseType.STRING, value: name},
+      ],
+    },
+    ...steps.map((step, index) => ({
+      globalNumber: FitConstant.MESG_WORKOUT_STEP,
+      fields: [
+        {number: 254, type: FitBaseType.UINT16, value: index},
+        {number: 1, type: FitBaseType.ENUM, value: step.durationType},
+        {number: 2, type: FitBaseType.UINT32, value: step.durationValue},
+        {number: 3, type: FitBaseType.ENUM, value: step.targetType},
+        {number: 4, type: FitBaseType.UINT32, value: step.targetValue},
+        {number: 5, type: FitBaseType.UINT32, value: step.lowPower},
+        {number: 6, type: FitBaseType.UINT32, value: step.highPower},
+        {number: 7, type: FitBaseType.ENUM, value: step.intensity},
+      ],
+    })),
+  ];
+
+  return {
+    filename: getWorkoutFilename(name, FileFormat.FIT),
+    content: encodeFitFile(messages),
+  };
+}
+
+
+// Under Node, export this as a module (see convert.js).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    encodeFitFile,
+    generateFitWorkout,
+  };
+  /* eslint-disable no-var */
+  var {IntervalType, FileFormat, ConversionError, getWorkoutIntervals,
+    getWorkoutName, getWorkoutFilename} = require('./convert.js');
+  /* eslint-enable no-var */
+}
@@ -0,0 +1,84 @@
+/**
+ * handles.js
+ *
+ * Keeps the handle of the Zwift workouts directory chosen on the options
+ * page. File system handles can't be kept in chrome.storage, so they are
+ * kept in the extension's IndexedDB, which the options page and the
+ * background service worker share.
+ */
+
+/* exported getWorkoutsDirectory, setWorkoutsDirectory,
+            clearWorkoutsDirectory */
+
+
+/**
+ * Where the directory handle is kept.
+ * @enum {string}
+ * @readonly
+ */
+const HandleDatabase = Object.freeze({
+  NAME: 'trzwo',
+  STORE: 'handles',
+  KEY: 'workoutsDirectory',
+});
+
+
+/**
+ * Runs a single request against the handle store.
+ * @param {string} mode - The transaction mode, 'readonly' or 'readwrite'.
+ * @param {Function} makeRequest - Called with the object store; returns
+ *                                 the IDBRequest to run.
+ * @return {Promise<*>} - A promise that resolves to the request's result.
+ */
+async function runHandleRequest(mode, makeRequest) {
+  const database = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(HandleDatabase.NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(HandleDatabase.STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    return await new Promise((resolve, reject) => {
+      const store = database.transaction(HandleDatabase.STORE, mode)
+          .objectStore(HandleDatabase.STORE);
+      const request = makeRequest(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+
+/**
+ * Retrieves the handle of the Zwift workouts directory.
+ * @return {Promise<FileSystemDirectoryHandle|undefined>} - The handle, or
+ *     undefined if no directory has been chosen.
+ */
+async function getWorkoutsDirectory() {
+  return runHandleRequest('readonly',
+      (store) => store.get(HandleDatabase.KEY));
+}
+
+
+/**
+ * Keeps the handle of the Zwift workouts directory.
+ * @param {FileSystemDirectoryHandle} handle - The directory handle.
+ * @return {Promise<void>} - A promise that resolves when the handle is kept.
+ */
+async function setWorkoutsDirectory(handle) {
+  await runHandleRequest('readwrite',
+      (store) => store.put(handle, HandleDatabase.KEY));
+}
+
+
+/**
+ * Forgets the handle of the Zwift workouts directory.
+ * @return {Promise<void>} - A promise that resolves when the handle is gone.
+ */
+async function clearWorkoutsDirectory() {
+  await runHandleRequest('readwrite',
+      (store) => store.delete(HandleDatabase.KEY));
+}
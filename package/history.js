@@ -0,0 +1,238 @@
+/**
+ * history.js
+ *
+ * Keeps a history of the exported workouts in extension storage, so they
+ * can be downloaded again from the options page. Each file is rebuilt from
+ * the intervals and options saved with it, without fetching the workout
+ * again. Converting the workout again may give a different file, because
+ * TrainerRoad changed the workout or the conversion changed; the history
+ * has the hash of each exported file, and its intervals, to show what
+ * changed.
+ */
+
+/* global module, require */
+/* exported recordExport, getExportHistory, clearExportHistory,
+            rebuildExport, checkExport, diffIntervals */
+
+
+/**
+ * The maximum number of exports kept in the history. The oldest are
+ * forgotten first.
+ * @type {number}
+ */
+const exportHistoryLimit = 200;
+
+
+/**
+ * Computes the SHA-256 hash of a file's content.
+ * @param {string|Uint8Array} content - The content.
+ * @return {Promise<string>} A promise that resolves to the hash, in hex.
+ */
+async function hashContent(content) {
+  const bytes = typeof content === 'string' ?
+    new TextEncoder().encode(content) : content;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest),
+      (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+
+/**
+ * Retrieves the export history, most recent first.
+ * @return {Promise<Array<Object>>} A promise that resolves to the exports,
+ *                                  each with 'workoutId', 'name',
+ *                                  'workoutName', 'details' (the workout's
+ *                                  Details), 'filename', 'format',
+ *                                  'options', 'intervalEdits' (if any),
+ *                                  'date' (ISO 8601), 'hash' and
+ *                                  'intervals' attributes.
+ */
+async function getExportHistory() {
+  const {exportHistory = []} = await chrome.storage.local.get('exportHistory');
+  return exportHistory;
+}
+
+
+/**
+ * Adds an export to the history. Failures are only logged, as the export
+ * itself has succeeded.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} workout - The workout, with any 'intervalEdits'.
+ * @param {Object} options - The options used for the conversion.
+ * @param {string} format - The file format (see FileFormat).
+ * @param {Object} workoutFile - The workout file, from generateWorkoutFile.
+ * @param {Date} date - The time the file was created.
+ * @return {Promise<void>} A promise that resolves when the export is added.
+ */
+async function recordExport(workoutId, workout, options, format, workoutFile,
+    date) {
+  try {
+    const history = await getExportHistory();
+    history.unshift({
+      workoutId: String(workoutId),
+      name: getWorkoutName(workout),
+      workoutName: workout.Details?.WorkoutName,
+      details: workout.Details,
+      filename: workoutFile.filename,
+      format,
+      options,
+      intervalEdits: workout.intervalEdits,
+      date: date.toISOString(),
+      hash: await hashContent(workoutFile.content),
+      intervals: getWorkoutIntervals(workout, options),
+    });
+    await chrome.storage.local.set(
+        {exportHistory: history.slice(0, exportHistoryLimit)});
+  } catch (error) {
+    console.error('Error recording export:', error);
+  }
+}
+
+
+/**
+ * Forgets the export history.
+ * @return {Promise<void>} A promise that resolves when the history is
+ *                         forgotten.
+ */
+async function clearExportHistory() {
+  await chrome.storage.local.remove('exportHistory');
+}
+
+
+/**
+ * Rebuilds an exported file from the intervals, workout details and options
+ * saved with it, and its creation time. The TrainerRoad workout data isn't
+ * kept, so a fidelity report in the description (see the 'fidelityReport'
+ * option) is left out, and metadata computed from the workout data (see
+ * getWorkoutMetadata) is computed from the intervals.
+ * @param {Object} entry - The export, from getExportHistory.
+ * @return {Object} - The workout file (see generateWorkoutFile).
+ * @throws {ConversionError} - If the saved intervals aren't valid.
+ */
+function rebuildExport(entry) {
+  const options = {...sanitizeOptions(entry.options), fidelityReport: 'none'};
+  // Power series of the intervals, at the original intensity.
+  const series = getPowerSeries(getPowerPoints(entry.intervals)).map(
+      (power) => power * 100 / options.intensity);
+  const workout = {
+    Details: {...entry.details, WorkoutName: entry.workoutName},
+    WorkoutData: [...series, series.at(-1)].map((power, second) =>
+      ({Seconds: second * 1000, FtpPercent: power})),
+    // The intervals are already at the exported intensity.
+    intervalEdits: {intervals: entry.intervals, intensity: options.intensity},
+  };
+  return generateWorkoutFile(workout, options, entry.format,
+      new Date(entry.date));
+}
+
+
+/**
+ * Converts a workout again as it was exported, with the same options,
+ * edits and creation time, to see whether the file would change.
+ * @param {Object} entry - The export, from getExportHistory.
+ * @param {Object} workout - The workout, as TrainerRoad has it now.
+ * @return {Promise<Object>} A promise that resolves to an object with the
+ *                           'intervals' converted now, and whether the file
+ *                           'changed' from the exported one.
+ */
+async function checkExport(entry, workout) {
+  const options = sanitizeOptions(entry.options);
+  // Workouts can be renamed on export, e.g. as part of a family.
+  const editedWorkout = {...workout, intervalEdits: entry.intervalEdits};
+  if (entry.workoutName !== undefined && workout?.Details) {
+    editedWorkout.Details = {...workout.Details,
+      WorkoutName: entry.workoutName};
+  }
+  const workoutFile = generateWorkoutFile(editedWorkout, options,
+      entry.format, new Date(entry.date));
+  return {
+    intervals: getWorkoutIntervals(editedWorkout, options),
+    changed: await hashContent(workoutFile.content) !== entry.hash,
+  };
+}
+
+
+/**
+ * Describes an interval in a line of text, e.g. "Ramp 300 s, 40-70%".
+ * @param {Object} i - The Zwift interval.
+ * @return {string} - The description.
+ */
+function describeInterval(i) {
+  /**
+   * Formats a power target.
+   * @param {number} power - The power target, in percent of FTP.
+   * @return {string} - The formatted power target.
+   */
+  function formatPower(power) {
+    return `${Number(power.toFixed(1))}%`;
+  }
+
+  switch (i.type) {
+    case IntervalType.OVER_UNDER:
+      return `${i.type} ${i.repeat} x (${i.onDuration} s at ` +
+          `${formatPower(i.onPower)}, ${i.offDuration} s at ` +
+          `${formatPower(i.offPower)})`;
+    case IntervalType.RAMP:
+    case IntervalType.WARMUP:
+    case IntervalType.COOLDOWN:
+      return `${i.type} ${i.duration} s, ${formatPower(i.startPower)}-` +
+          `${formatPower(i.endPower)}`;
+    default:
+      return `${i.type} ${i.duration} s at ${formatPower(i.startPower)}`;
+  }
+}
+
+
+/**
+ * Compares two lists of intervals, like a line-by-line diff of their
+ * descriptions (see describeInterval).
+ * @param {Array} before - The intervals that were exported.
+ * @param {Array} after - The intervals converted now.
+ * @return {Array<string>} - The diff, a line per interval, prefixed with
+ *                           '- ' if it was removed, '+ ' if it was added
+ *                           or '  ' if it is unchanged.
+ */
+function diffIntervals(before, after) {
+  const a = before.map(describeInterval);
+  const b = after.map(describeInterval);
+  // Lengths of the longest common subsequences of the remaining lines.
+  const common = Array.from({length: a.length + 1},
+      () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 :
+        Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (i < a.length &&
+        (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  return lines;
+}
+
+
+// Under Node, export this as a module, for the tests.
+if (typeof module !== 'undefined') {
+  module.exports = {
+    hashContent,
+    rebuildExport,
+    checkExport,
+    diffIntervals,
+  };
+  /* eslint-disable no-var */
+  var {IntervalType, sanitizeOptions, getWorkoutName, getWorkoutIntervals,
+    getPowerPoints, generateWorkoutFile} = require('./convert.js');
+  var {getPowerSeries} = require('./report.js');
+  /* eslint-enable no-var */
+}
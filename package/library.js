@@ -0,0 +1,195 @@
+/**
+ * library.js
+ *
+ * Adds a small 'ZWO' button and a checkbox next to each result on the
+ * TrainerRoad workout library and search pages, so workouts can be
+ * downloaded without opening each workout page. Selected workouts can be
+ * downloaded, or uploaded (see uploader.js), together from a toolbar.
+ */
+
+/* global getLinkedWorkoutId, getOptions, exportWorkout, showNotice,
+          showErrorNotice, showFailuresNotice, showUploadDialog,
+          observePage */
+
+
+/**
+ * The workout library and search pages, as a pattern matching the URL path.
+ * @type {RegExp}
+ */
+const libraryPagePattern = /^\/app\/cycling\/workouts(?:\/search)?\/?$/;
+
+
+/**
+ * The IDs of the selected workouts, kept while the results change.
+ * @type {Set<string>}
+ */
+const selectedWorkouts = new Set();
+
+
+/**
+ * Exports workouts with the current options, with feedback on a button.
+ * Errors are reported to the user.
+ * @param {Array<string>} workoutIds - The IDs of the workouts.
+ * @param {HTMLButtonElement} button - The button that started the export.
+ * @return {Promise<void>} A promise that resolves when the workouts are
+ *                         exported.
+ */
+async function exportLibraryWorkouts(workoutIds, button) {
+  const failures = [];
+  button.classList.add('processing');
+  button.setAttribute('aria-busy', 'true');
+  button.disabled = true;
+  try {
+    const options = await getOptions();
+    for (const workoutId of workoutIds) {
+      try {
+        await exportWorkout(workoutId, options);
+      } catch (error) {
+        failures.push({workoutId, error});
+      }
+    }
+    const exported = workoutIds.length - failures.length;
+    if (workoutIds.length === 1 && failures.length === 1) {
+      showErrorNotice(failures[0].error);
+    } else if (failures.length > 0) {
+      showFailuresNotice(`Exported ${exported} of ${workoutIds.length} ` +
+          'workouts.', failures);
+    } else if (workoutIds.length > 1) {
+      showNotice(`Exported ${exported} workouts.`);
+    }
+  } catch (error) {
+    showErrorNotice(error);
+  }
+  button.classList.remove('processing');
+  button.removeAttribute('aria-busy');
+  button.disabled = false;
+}
+
+
+/**
+ * Updates the selection toolbar to match the selected workouts, adding it
+ * to the page when the first workout is selected.
+ */
+function updateLibraryToolbar() {
+  let toolbar = document.getElementById('ZWO-library');
+  if (!toolbar) {
+    const downloadButton = document.createElement('button');
+    const uploadButton = document.createElement('button');
+    const selectAllButton = document.createElement('button');
+    const clearButton = document.createElement('button');
+
+    toolbar = document.createElement('div');
+    toolbar.id = 'ZWO-library';
+    downloadButton.className = 'ZWO-library-download';
+    downloadButton.addEventListener('click', async () => {
+      await exportLibraryWorkouts(Array.from(selectedWorkouts),
+          downloadButton);
+      selectedWorkouts.clear();
+      updateLibraryToolbar();
+    });
+    uploadButton.className = 'ZWO-library-upload';
+    uploadButton.addEventListener('click',
+        () => showUploadDialog(Array.from(selectedWorkouts)));
+    selectAllButton.textContent = 'Select all';
+    selectAllButton.addEventListener('click', () => {
+      for (const checkbox of
+        document.querySelectorAll('.ZWO-library-actions input')) {
+        selectedWorkouts.add(checkbox.closest('[data-workout-id]')
+            .dataset.workoutId);
+      }
+      updateLibraryToolbar();
+    });
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', () => {
+      selectedWorkouts.clear();
+      updateLibraryToolbar();
+    });
+    toolbar.append(downloadButton, uploadButton, selectAllButton,
+        clearButton);
+    document.body.appendChild(toolbar);
+  }
+
+  toolbar.hidden = selectedWorkouts.size === 0;
+  toolbar.querySelector('.ZWO-library-download').textContent =
+      `Download ${selectedWorkouts.size} selected`;
+  toolbar.querySelector('.ZWO-library-upload').textContent =
+      `Upload ${selectedWorkouts.size} selected…`;
+  for (const actions of document.querySelectorAll('.ZWO-library-actions')) {
+    actions.querySelector('input').checked =
+        selectedWorkouts.has(actions.dataset.workoutId);
+  }
+}
+
+
+/**
+ * Adds a 'ZWO' button and a checkbox after the first link to each workout
+ * in the results that doesn't have them yet.
+ */
+function modifyLibraryResults() {
+  for (const link of document.querySelectorAll('a[href*="/workouts/"]')) {
+    const workoutId = getLinkedWorkoutId(link);
+    if (!workoutId || document.querySelector(
+        `.ZWO-library-actions[data-workout-id="${workoutId}"]`)) {
+      continue;
+    }
+    const name = link.textContent.trim() || `workout ${workoutId}`;
+    const actions = document.createElement('span');
+    const checkbox = document.createElement('input');
+    const zwoButton = document.createElement('button');
+
+    actions.className = 'ZWO-library-actions';
+    actions.dataset.workoutId = workoutId;
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedWorkouts.has(workoutId);
+    checkbox.setAttribute('aria-label', `Select ${name} for download`);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedWorkouts.add(workoutId);
+      } else {
+        selectedWorkouts.delete(workoutId);
+      }
+      updateLibraryToolbar();
+    });
+    zwoButton.textContent = 'ZWO';
+    zwoButton.className = 'ZWO-library-button';
+    zwoButton.setAttribute('aria-label', `Download ZWO file for ${name}`);
+    zwoButton.addEventListener('click', () => {
+      exportLibraryWorkouts([workoutId], zwoButton);
+    });
+    actions.append(checkbox, zwoButton);
+    link.after(actions);
+  }
+}
+
+
+/**
+ * Removes the buttons, checkboxes and toolbar from the page, and forgets
+ * the selection, after TrainerRoad navigates away from the library.
+ */
+function removeLibraryActions() {
+  for (const actions of document.querySelectorAll('.ZWO-library-actions')) {
+    actions.remove();
+  }
+  document.getElementById('ZWO-library')?.remove();
+  selectedWorkouts.clear();
+}
+
+
+/**
+ * Decorates the library results, or removes the decorations if the page
+ * is no longer the library. TrainerRoad navigates between its pages
+ * without reloading, so this is checked on every change.
+ */
+function updateLibrary() {
+  if (libraryPagePattern.test(document.location.pathname)) {
+    modifyLibraryResults();
+  } else if (document.querySelector('.ZWO-library-actions, #ZWO-library')) {
+    removeLibraryActions();
+  }
+}
+
+
+document.addEventListener('DOMContentLoaded', function() {
+  updateLibrary();
+  observePage(updateLibrary);
+});
@@ -4,76 +4,644 @@
  * Handles the saving and restoration of user options.
  * Options are stored and retrieved from Chrome's synchronized storage,
  * ensuring options are consistent across devices where the user is logged in.
+ * The options themselves are defined, and validated, in convert.js, and
+ * kept in named profiles (see profiles.js), one of which is edited at a time.
  */
 
+/* global optionDefinitions, defaultOptions, checkOption, getOptionProfiles,
+          setOptionProfiles, getProfileOptions, setProfileOptions,
+          exportOptionProfiles, importOptionProfiles, checkProfileName,
+          getWorkoutsDirectory,
+          setWorkoutsDirectory, clearWorkoutsDirectory, getExportHistory,
+          clearExportHistory, rebuildExport, checkExport, diffIntervals,
+          fetchWorkoutDetails,
+          uploadSettingsDefaults, getUploadSettings, setUploadSettings,
+          getUploadOrigins, getUploadFolders, downloadContentAsFile */
+
 
 const ID = {
+  profile: 'profile',
+  profileDesc: 'profileDesc',
+  profileName: 'profileName',
+  addProfileButton: 'addProfile',
+  renameProfileButton: 'renameProfile',
+  deleteProfileButton: 'deleteProfile',
+  exportProfilesButton: 'exportProfiles',
+  importProfilesButton: 'importProfiles',
+  importProfilesFile: 'importProfilesFile',
+  profileStatus: 'profileStatus',
   rampConversion: 'rampConversion',
-  rampConversionDesc: 'rampConversionDesc',
+  stepConversion: 'stepConversion',
+  stepDuration: 'stepDuration',
   ouConversion: 'ouConversion',
-  ouConversionDesc: 'ouConversionDesc',
+  ouTolerance: 'ouTolerance',
+  ouMinSplitDuration: 'ouMinSplitDuration',
+  slopeTolerance: 'slopeTolerance',
+  freeRide: 'freeRide',
+  freeRideMinDuration: 'freeRideMinDuration',
+  freeRideMaxPower: 'freeRideMaxPower',
+  textEvents: 'textEvents',
+  fidelityReport: 'fidelityReport',
+  format: 'format',
+  ftp: 'ftp',
+  ftpOverride: 'ftpOverride',
+  intensity: 'intensity',
+  xpMode: 'xpMode',
+  xpMaxDeviation: 'xpMaxDeviation',
+  xpPerMinute: 'xpPerMinute',
+  rampXpPerMinute: 'rampXpPerMinute',
+  fitRampMode: 'fitRampMode',
+  workoutsDirectory: 'workoutsDirectory',
+  chooseWorkoutsDirectoryButton: 'chooseWorkoutsDirectory',
+  grantWorkoutsDirectoryButton: 'grantWorkoutsDirectory',
+  forgetWorkoutsDirectoryButton: 'forgetWorkoutsDirectory',
+  existingFile: 'existingFile',
+  uploadApiKey: 'uploadApiKey',
+  uploadAthleteId: 'uploadAthleteId',
+  uploadBaseUrl: 'uploadBaseUrl',
+  uploadFormat: 'uploadFormat',
+  testUploadButton: 'testUpload',
+  uploadStatus: 'uploadStatus',
+  exportHistory: 'exportHistory',
+  exportHistoryEmpty: 'exportHistoryEmpty',
+  clearExportHistoryButton: 'clearExportHistory',
   saveButton: 'save',
   restoreDefaultsButton: 'restoreDefaults',
 };
 
-const rampConversionDescription = {
-  none: 'Leave the ramps alone.',
-  internal: 'Leave only warmup and/or cooldown ramps.',
-  all: 'Convert all ramps to steady-state intervals.',
+/**
+ * The descriptions of the values of the select elements on the page, by
+ * element ID. Each is shown in the element with the same ID followed by
+ * 'Desc' (see showDescription).
+ */
+const descriptions = {
+  [ID.rampConversion]: {
+    none: 'Leave the ramps alone.',
+    internal: 'Leave only warmup and/or cooldown ramps.',
+    all: 'Convert all ramps to steady-state intervals.',
+  },
+  [ID.stepConversion]: {
+    none: 'Leave stair steps and ramps alone.',
+    ramps: 'Evenly spaced stair steps (at least three) become a single ramp.',
+    steps: 'Ramps become steady-state steps of the step duration.',
+  },
+  [ID.ouConversion]: {
+    strict: 'Over-under conversion requires power targets to match exactly.',
+    loose: 'Over-under conversion may modify power targets slightly.',
+    custom: 'Over-under conversion may modify power targets by up to the ' +
+        'custom tolerance.',
+    none: 'No over-under intervals will be created.',
+  },
+  [ID.freeRide]: {
+    none: 'No free ride intervals will be created.',
+    recovery: 'Long, low-intensity steady-state intervals become free rides.',
+  },
+  [ID.textEvents]: {
+    all: 'Interval names and instructions are shown on screen in Zwift.',
+    none: 'No text events will be added to ZWO files.',
+  },
+  [ID.fidelityReport]: {
+    none: 'The conversion fidelity report is only shown in the preview.',
+    description: 'The conversion fidelity report is added to the ZWO ' +
+        'description.',
+  },
+  [ID.format]: {
+    zwo: 'Zwift workout file.',
+    mrc: 'Course file with power targets as a percentage of FTP.',
+    erg: 'Course file with power targets in watts, based on your FTP.',
+    fit: 'Garmin FIT workout file for head units and smart trainers.',
+  },
+  [ID.fitRampMode]: {
+    stepped: 'Ramps in FIT files become a series of one-minute steps.',
+    range: 'Ramps in FIT files become one step targeting the whole range.',
+  },
+  [ID.ftpOverride]: {
+    none: 'ZWO power targets follow the FTP in your Zwift profile.',
+    ftp: 'ZWO power targets are for the FTP above, whatever the FTP in your ' +
+        'Zwift profile.',
+  },
+  [ID.xpMode]: {
+    off: 'Ramps and over-unders are converted as chosen above.',
+    optimize: 'Ramp and over-under conversions are chosen for each part of ' +
+        'the workout to earn the most Zwift XP.',
+  },
+  [ID.uploadFormat]: {
+    zwo: 'Workouts are uploaded as ZWO files.',
+    text: 'Workouts are uploaded in the intervals.icu text syntax, e.g. ' +
+        '"- 5m 70%".',
+  },
+  [ID.existingFile]: {
+    rename: 'A number is added to the name of the new workout, ' +
+        'e.g. "Baxter (2).zwo".',
+    overwrite: 'The existing workout is replaced.',
+  },
 };
 
-const ouConversionDescription = {
-  strict: 'Over-under conversion requires power targets to match exactly.',
-  loose: 'Over-under conversion may modify power targets slightly.',
-  none: 'No over-under intervals will be created.',
-};
 
-const defaultOptions = {
-  rampConversion: 'none',
-  ouConversion: 'strict',
-};
+/**
+ * Shows the description of the selected value of a select element.
+ * @param {string} id - The ID of the select element (see descriptions).
+ */
+function showDescription(id) {
+  document.getElementById(`${id}Desc`).textContent =
+      descriptions[id][document.getElementById(id).value];
+}
+
+/**
+ * Handles a change of a field on the page: shows the description of its
+ * value, if it has any, and checks the options, if it holds one (see
+ * checkFormOptions).
+ * @param {string} id - The ID of the field.
+ */
+function fieldChanged(id) {
+  if (id in descriptions) {
+    showDescription(id);
+  }
+  if (id in optionDefinitions) {
+    checkFormOptions(optionsFromForm());
+  }
+}
 
 
 /**
- * Sanitizes the options object by validating and modifying its properties.
- * @param {Object} options - The options object to sanitize.
- * @return {Object} - The sanitized options object.
+ * Shows the Zwift workouts folder, if one was chosen, and whether the
+ * extension still has access to it. Without access, e.g. after Chrome
+ * restarts, ZWO files are downloaded instead, until access is granted
+ * again here (see grantWorkoutsDirectory).
  */
-function sanitizeOptions(options) {
-  if (!Object.keys(rampConversionDescription)
-      .includes(options?.rampConversion)) {
-    console.log('Invalid rampConversion:', options?.rampConversion);
-    options.rampConversion = defaultOptions.rampConversion;
+async function showWorkoutsDirectory() {
+  const nameElement = document.getElementById(ID.workoutsDirectory);
+  const grantButton = document.getElementById(ID.grantWorkoutsDirectoryButton);
+  const forgetButton =
+      document.getElementById(ID.forgetWorkoutsDirectoryButton);
+  try {
+    const directory = await getWorkoutsDirectory();
+    const permission =
+        await directory?.queryPermission({mode: 'readwrite'});
+    if (!directory) {
+      nameElement.textContent = 'None (ZWO files are downloaded)';
+    } else if (permission === 'granted') {
+      nameElement.textContent = directory.name;
+    } else {
+      nameElement.textContent = `${directory.name} (Chrome asks for ` +
+          'access again after it restarts; until you grant it, ZWO files ' +
+          'are downloaded)';
+    }
+    grantButton.hidden = !directory || permission === 'granted';
+    forgetButton.hidden = !directory;
+  } catch (error) {
+    console.error('Error showing Zwift workouts folder:', error);
   }
-  if (!Object.keys(ouConversionDescription)
-      .includes(options?.ouConversion)) {
-    console.log('Invalid ouConversion:', options?.ouConversion);
-    options.ouConversion = defaultOptions.ouConversion;
+}
+
+/**
+ * Lets the user choose the Zwift workouts folder, and keeps its handle.
+ */
+async function chooseWorkoutsDirectory() {
+  try {
+    const directory = await window.showDirectoryPicker(
+        {id: 'zwift-workouts', mode: 'readwrite', startIn: 'documents'});
+    await setWorkoutsDirectory(directory);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error choosing Zwift workouts folder:', error);
+    }
   }
-  return options;
+  showWorkoutsDirectory();
 }
 
 /**
- * Saves the options to Chrome storage.
+ * Asks the user to grant access to the Zwift workouts folder again. Chrome
+ * only asks in response to a click, and only from a page, so this can't be
+ * done by the background service worker or when saving a file.
  */
-async function saveOptions() {
-  /**
-   * Retrieves options from the form.
-   * @return {Object} - The options object.
-   */
-  function optionsFromForm() {
-    return {
-      rampConversion: document.getElementById(ID.rampConversion).value,
-      ouConversion: document.getElementById(ID.ouConversion).value,
-    };
+async function grantWorkoutsDirectory() {
+  try {
+    const directory = await getWorkoutsDirectory();
+    await directory?.requestPermission({mode: 'readwrite'});
+  } catch (error) {
+    console.error('Error granting access to Zwift workouts folder:', error);
+  }
+  showWorkoutsDirectory();
+}
+
+/**
+ * Forgets the Zwift workouts folder, so ZWO files are downloaded again.
+ */
+async function forgetWorkoutsDirectory() {
+  try {
+    await clearWorkoutsDirectory();
+  } catch (error) {
+    console.error('Error forgetting Zwift workouts folder:', error);
+  }
+  showWorkoutsDirectory();
+}
+
+/**
+ * Shows the upload settings.
+ */
+async function restoreUploadSettings() {
+  try {
+    const settings = await getUploadSettings();
+    document.getElementById(ID.uploadApiKey).value = settings.apiKey;
+    document.getElementById(ID.uploadAthleteId).value = settings.athleteId;
+    document.getElementById(ID.uploadBaseUrl).value = settings.baseUrl;
+    document.getElementById(ID.uploadFormat).value = settings.format;
+    showDescription(ID.uploadFormat);
+  } catch (error) {
+    console.error('Error restoring upload settings:', error);
+  }
+}
+
+/**
+ * Saves the upload settings, and asks for permission to reach the server.
+ * Chrome only asks in response to a click, so this must be called before
+ * anything else is awaited.
+ * @return {Promise<boolean>} A promise that resolves to true if the
+ *                            settings are saved and the server can be
+ *                            reached, if there is an API key.
+ */
+async function saveUploadSettings() {
+  const status = document.getElementById(ID.uploadStatus);
+  const settings = {
+    apiKey: document.getElementById(ID.uploadApiKey).value,
+    athleteId: document.getElementById(ID.uploadAthleteId).value,
+    baseUrl: document.getElementById(ID.uploadBaseUrl).value.trim() ||
+        uploadSettingsDefaults.baseUrl,
+    format: document.getElementById(ID.uploadFormat).value,
+  };
+  let origins;
+  try {
+    origins = getUploadOrigins(settings.baseUrl);
+  } catch (error) {
+    status.textContent = 'The API base URL isn\'t valid.';
+    return false;
+  }
+  try {
+    const granted = !settings.apiKey.trim() ||
+        await chrome.permissions.request({origins});
+    await setUploadSettings(settings);
+    status.textContent = granted ? '' :
+      `Uploading needs permission to reach ${origins[0]}.`;
+    return granted;
+  } catch (error) {
+    console.error('Error saving upload settings:', error);
+    status.textContent = `Couldn't save the upload settings: ` +
+        error.message;
+    return false;
+  }
+}
+
+/**
+ * Shows that the upload settings have changed and aren't saved yet, as
+ * they are saved by testUpload rather than saveOptions.
+ */
+function uploadSettingsChanged() {
+  document.getElementById(ID.uploadStatus).textContent =
+      'Not saved yet: use Save and Test Connection.';
+}
+
+/**
+ * Saves the upload settings, then checks them by listing the folders of
+ * the workout library.
+ */
+async function testUpload() {
+  const status = document.getElementById(ID.uploadStatus);
+  if (!(await saveUploadSettings())) {
+    return;
+  }
+  status.textContent = 'Connecting…';
+  try {
+    const folders = await getUploadFolders();
+    status.textContent = `Connected; ${folders.length} ` +
+        `folder${folders.length === 1 ? '' : 's'} in the workout library.`;
+  } catch (error) {
+    console.error('Error testing upload settings:', error);
+    status.textContent = error.message;
+  }
+}
+
+/**
+ * Lists the option profiles, with the active one selected.
+ * @return {Promise<void>} A promise that resolves when the profiles are
+ *                         listed.
+ */
+async function showProfiles() {
+  const data = await getOptionProfiles();
+  const select = document.getElementById(ID.profile);
+  select.replaceChildren(...Object.keys(data.profiles).map((name) =>
+    new Option(name, name)));
+  select.value = data.active;
+  document.getElementById(ID.profileDesc).textContent =
+      `The options below are for the '${data.active}' profile, which the ` +
+      '\'ZWO\' button uses. Other profiles are offered in its \'▾\' ' +
+      'menu.';
+}
+
+/**
+ * Changes the profiles, reporting the result or any error next to the
+ * profile buttons, and shows the options of the active profile.
+ * @param {Function} change - Called with the profiles (see
+ *                            migrateOptionProfiles) to change them; returns
+ *                            the message to show, or throws an error.
+ * @return {Promise<void>} A promise that resolves when the profiles are
+ *                         saved.
+ */
+async function changeProfiles(change) {
+  const status = document.getElementById(ID.profileStatus);
+  try {
+    const data = await getOptionProfiles();
+    const message = await change(data);
+    await setOptionProfiles(data);
+    status.textContent = message;
+  } catch (error) {
+    console.error('Error changing option profiles:', error);
+    status.textContent = error.message;
+  }
+  await restoreOptions();
+}
+
+/**
+ * Makes the selected profile the active one.
+ */
+function selectProfile() {
+  const name = document.getElementById(ID.profile).value;
+  changeProfiles((data) => {
+    data.active = name;
+    return '';
+  });
+}
+
+/**
+ * Saves the options on the page as a new profile, named in the profile
+ * name field, and makes it the active one, unless any of the options is
+ * invalid (see checkFormOptions).
+ */
+function addProfile() {
+  const name = document.getElementById(ID.profileName).value.trim();
+  const options = optionsFromForm();
+  if (!checkFormOptions(options)) {
+    document.getElementById(ID.profileStatus).textContent =
+        'Profile not added. Correct the marked fields first.';
+    return;
   }
+  changeProfiles((data) => {
+    const problem = checkProfileName(name, data);
+    if (problem) {
+      throw new Error(problem);
+    }
+    data.profiles[name] = options;
+    data.active = name;
+    document.getElementById(ID.profileName).value = '';
+    return `Profile '${name}' added.`;
+  });
+}
 
-  const options = sanitizeOptions(optionsFromForm());
+/**
+ * Renames the active profile to the name in the profile name field.
+ */
+function renameProfile() {
+  const name = document.getElementById(ID.profileName).value.trim();
+  changeProfiles((data) => {
+    const problem = checkProfileName(name, data);
+    if (problem) {
+      throw new Error(problem);
+    }
+    const oldName = data.active;
+    // Keep the order of the profiles.
+    data.profiles = Object.fromEntries(Object.entries(data.profiles)
+        .map(([key, options]) => [key === oldName ? name : key, options]));
+    data.active = name;
+    document.getElementById(ID.profileName).value = '';
+    return `Profile '${oldName}' renamed to '${name}'.`;
+  });
+}
+
+/**
+ * Deletes the active profile, unless it is the only one, and makes the
+ * first of the others the active one.
+ */
+function deleteProfile() {
+  changeProfiles((data) => {
+    const names = Object.keys(data.profiles);
+    if (names.length === 1) {
+      throw new Error('The only profile can\'t be deleted.');
+    }
+    const name = data.active;
+    delete data.profiles[name];
+    data.active = names.find((other) => other !== name);
+    return `Profile '${name}' deleted.`;
+  });
+}
+
+/**
+ * Downloads all the profiles as a JSON file, for sharing.
+ */
+async function exportProfiles() {
   try {
-    await chrome.storage.sync.set({options});
-    const status = document.createElement('div');
+    const data = await getOptionProfiles();
+    downloadContentAsFile(exportOptionProfiles(data), 'trzwo-profiles.json');
+  } catch (error) {
+    console.error('Error exporting option profiles:', error);
+    document.getElementById(ID.profileStatus).textContent = error.message;
+  }
+}
+
+/**
+ * Adds the profiles in the chosen JSON file, replacing any with the same
+ * names.
+ */
+function importProfiles() {
+  const input = document.getElementById(ID.importProfilesFile);
+  const file = input.files[0];
+  input.value = '';
+  if (!file) {
+    return;
+  }
+  changeProfiles(async (data) => {
+    const profiles = importOptionProfiles(await file.text());
+    Object.assign(data.profiles, profiles);
+    const names = Object.keys(profiles);
+    return `Imported ${names.length} ` +
+        `profile${names.length === 1 ? '' : 's'}: ${names.join(', ')}.`;
+  });
+}
+
+/**
+ * Downloads an exported workout again, rebuilt from what was saved with
+ * it, then converts the workout as TrainerRoad has it now, with the same
+ * options. If that file differs from the one exported, e.g. because
+ * TrainerRoad changed the workout, the changed intervals are shown in the
+ * status cell. The extension's host permission lets the request use the
+ * TrainerRoad login.
+ * @param {Object} entry - The export, from getExportHistory.
+ * @param {HTMLElement} statusCell - Where to show the result.
+ */
+async function redownloadExport(entry, statusCell) {
+  try {
+    const workoutFile = rebuildExport(entry);
+    downloadContentAsFile(workoutFile.content, workoutFile.filename);
+  } catch (error) {
+    console.error('Error downloading exported workout:', error);
+    statusCell.textContent = `Couldn't download: ${error.message}`;
+    return;
+  }
+  statusCell.textContent = 'Downloaded. Checking for changes…';
+  try {
+    const response = await fetchWorkoutDetails(entry.workoutId);
+    const {intervals, changed} =
+        await checkExport(entry, response?.Workout);
+    if (changed) {
+      const diff = document.createElement('pre');
+      diff.textContent = diffIntervals(entry.intervals, intervals).join('\n');
+      statusCell.replaceChildren('Downloaded. Changed since export:', diff);
+    } else {
+      statusCell.textContent = 'Downloaded. Unchanged since export.';
+    }
+  } catch (error) {
+    console.error('Error checking exported workout:', error);
+    statusCell.textContent = 'Downloaded, but couldn\'t check for ' +
+        `changes: ${error.message}`;
+  }
+}
+
+/**
+ * Shows the export history, most recent first, with a 'Re-download' button
+ * for each export.
+ */
+async function showExportHistory() {
+  const table = document.getElementById(ID.exportHistory);
+  const emptyElement = document.getElementById(ID.exportHistoryEmpty);
+  try {
+    const history = await getExportHistory();
+    const header = document.createElement('tr');
+    for (const text of ['Date', 'Workout', 'Format', '', '']) {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    }
+    const rows = history.map((entry) => {
+      const row = document.createElement('tr');
+      const date = document.createElement('td');
+      const name = document.createElement('td');
+      const format = document.createElement('td');
+      const action = document.createElement('td');
+      const status = document.createElement('td');
+      const button = document.createElement('button');
+      date.textContent = new Date(entry.date).toLocaleString();
+      name.textContent = `${entry.name} (${entry.workoutId})`;
+      format.textContent = entry.format.toUpperCase();
+      button.textContent = 'Re-download';
+      button.setAttribute('aria-label', `Re-download ${entry.filename}`);
+      button.addEventListener('click', () => redownloadExport(entry, status));
+      action.appendChild(button);
+      row.append(date, name, format, action, status);
+      return row;
+    });
+    table.replaceChildren(header, ...rows);
+    table.hidden = history.length === 0;
+    emptyElement.hidden = history.length > 0;
+  } catch (error) {
+    console.error('Error showing export history:', error);
+  }
+}
+
+/**
+ * Forgets the export history.
+ */
+async function clearHistory() {
+  try {
+    await clearExportHistory();
+  } catch (error) {
+    console.error('Error clearing export history:', error);
+  }
+  showExportHistory();
+}
+
+/**
+ * Retrieves options from the form.
+ * @return {Object} - The options object.
+ */
+function optionsFromForm() {
+  return {
+    rampConversion: document.getElementById(ID.rampConversion).value,
+    stepConversion: document.getElementById(ID.stepConversion).value,
+    stepDuration: document.getElementById(ID.stepDuration).valueAsNumber,
+    ouConversion: document.getElementById(ID.ouConversion).value,
+    ouTolerance: document.getElementById(ID.ouTolerance).valueAsNumber,
+    ouMinSplitDuration:
+        document.getElementById(ID.ouMinSplitDuration).valueAsNumber,
+    slopeTolerance:
+        document.getElementById(ID.slopeTolerance).valueAsNumber,
+    freeRide: document.getElementById(ID.freeRide).value,
+    freeRideMinDuration:
+        document.getElementById(ID.freeRideMinDuration).valueAsNumber,
+    freeRideMaxPower:
+        document.getElementById(ID.freeRideMaxPower).valueAsNumber,
+    textEvents: document.getElementById(ID.textEvents).value,
+    fidelityReport: document.getElementById(ID.fidelityReport).value,
+    format: document.getElementById(ID.format).value,
+    ftp: document.getElementById(ID.ftp).valueAsNumber,
+    ftpOverride: document.getElementById(ID.ftpOverride).value,
+    intensity: document.getElementById(ID.intensity).valueAsNumber,
+    xpMode: document.getElementById(ID.xpMode).value,
+    xpMaxDeviation:
+        document.getElementById(ID.xpMaxDeviation).valueAsNumber,
+    xpPerMinute: document.getElementById(ID.xpPerMinute).valueAsNumber,
+    rampXpPerMinute:
+        document.getElementById(ID.rampXpPerMinute).valueAsNumber,
+    fitRampMode: document.getElementById(ID.fitRampMode).value,
+    existingFile: document.getElementById(ID.existingFile).value,
+  };
+}
+
+/**
+ * Checks the options from the form, showing what is wrong with each next to
+ * its field, or clearing what was shown if it is now valid.
+ * @param {Object} options - The options from the form.
+ * @return {boolean} - True if all of the options are valid.
+ */
+function checkFormOptions(options) {
+  let valid = true;
+  for (const name of Object.keys(optionDefinitions)) {
+    const field = document.getElementById(ID[name]);
+    const error = checkOption(name, options[name]);
+    let errorElement = document.getElementById(`${field.id}Error`);
+    if (!errorElement && error) {
+      errorElement = document.createElement('span');
+      errorElement.id = `${field.id}Error`;
+      errorElement.className = 'option-error';
+      errorElement.setAttribute('aria-live', 'polite');
+      field.setAttribute('aria-errormessage', errorElement.id);
+      field.after(errorElement);
+    }
+    if (errorElement) {
+      errorElement.textContent = error ?? '';
+    }
+    field.setAttribute('aria-invalid', String(error !== null));
+    valid &&= error === null;
+  }
+  return valid;
+}
+
+/**
+ * Saves the options to Chrome storage, in the selected profile, unless any
+ * of them is invalid (see checkFormOptions).
+ */
+async function saveOptions() {
+  const options = optionsFromForm();
+  const status = document.createElement('div');
+  if (!checkFormOptions(options)) {
+    status.textContent = 'Options not saved. Correct the marked fields ' +
+        'first.';
+    document.body.appendChild(status);
+    setTimeout(() => status.remove(), 3000);
+    return;
+  }
+  try {
+    const data = await getOptionProfiles();
+    await setProfileOptions(data, data.active, options);
     status.textContent = 'Options saved.';
-    console.log('Options saved:', options);
     document.body.appendChild(status);
     setTimeout(() => status.remove(), 750);
   } catch (error) {
@@ -82,41 +650,61 @@ async function saveOptions() {
 }
 
 /**
- * Restores the options from Chrome storage.
+ * Restores the options of the selected profile from Chrome storage.
  */
 async function restoreOptions() {
-  /**
-   * Retrieves the options from storage or returns default options.
-   * @return {Promise<Object>} The options object.
-   */
-  async function getOptions() {
-    const storedOptions = await chrome.storage.sync.get('options');
-    const options = storedOptions.options || defaultOptions;
-    return sanitizeOptions(options);
-  }
-
   try {
-    const options = await getOptions();
+    await showProfiles();
+    const options = await getProfileOptions();
     document.getElementById(ID.rampConversion).value = options.rampConversion;
+    document.getElementById(ID.stepConversion).value = options.stepConversion;
+    document.getElementById(ID.stepDuration).value = options.stepDuration;
     document.getElementById(ID.ouConversion).value = options.ouConversion;
-    document.getElementById(ID.rampConversion)
-        .dispatchEvent(new Event('change'));
-    document.getElementById(ID.ouConversion).
-        dispatchEvent(new Event('change'));
+    document.getElementById(ID.ouTolerance).value = options.ouTolerance;
+    document.getElementById(ID.ouMinSplitDuration).value =
+        options.ouMinSplitDuration;
+    document.getElementById(ID.slopeTolerance).value =
+        options.slopeTolerance;
+    document.getElementById(ID.freeRide).value = options.freeRide;
+    document.getElementById(ID.freeRideMinDuration).value =
+        options.freeRideMinDuration;
+    document.getElementById(ID.freeRideMaxPower).value =
+        options.freeRideMaxPower;
+    document.getElementById(ID.textEvents).value = options.textEvents;
+    document.getElementById(ID.fidelityReport).value =
+        options.fidelityReport;
+    document.getElementById(ID.format).value = options.format;
+    document.getElementById(ID.ftp).value = options.ftp;
+    document.getElementById(ID.ftpOverride).value = options.ftpOverride;
+    document.getElementById(ID.intensity).value = options.intensity;
+    document.getElementById(ID.xpMode).value = options.xpMode;
+    document.getElementById(ID.xpMaxDeviation).value =
+        options.xpMaxDeviation;
+    document.getElementById(ID.xpPerMinute).value = options.xpPerMinute;
+    document.getElementById(ID.rampXpPerMinute).value =
+        options.rampXpPerMinute;
+    document.getElementById(ID.fitRampMode).value = options.fitRampMode;
+    document.getElementById(ID.existingFile).value = options.existingFile;
+    for (const id of Object.keys(descriptions)) {
+      showDescription(id);
+    }
+    checkFormOptions(options);
   } catch (error) {
     console.error('Error restoring options:', error);
   }
 }
 
 /**
- * Restores the default options by removing the 'options' key from
- * chrome.storage.sync and then calling the restoreOptions function.
+ * Restores the default options of the selected profile and then calls the
+ * restoreOptions function.
  * @return {Promise<void>} A promise that resolves when the default
  *                          options are restored.
  */
 async function restoreDefaults() {
   try {
-    await chrome.storage.sync.remove('options');
+    const data = await getOptionProfiles();
+    data.profiles[data.active] = {...defaultOptions};
+    await setOptionProfiles(data);
     restoreOptions();
   } catch (error) {
     console.error('Error restoring default options:', error);
@@ -127,34 +715,49 @@ async function restoreDefaults() {
  * Initializes the options page.
  */
 function init() {
-  /**
-   * Updates the description element based on the selected value of the
-   * rampConversion select element.
-   */
-  function rampConversionChanged() {
-    const selectElement = document.getElementById(ID.rampConversion);
-    const descElement = document.getElementById(ID.rampConversionDesc);
-    descElement.textContent = rampConversionDescription[selectElement.value];
-  }
-
-  /**
-   * Updates the description element based on the selected value of the
-   * ouConversion select element.
-   */
-  function ouConversionChanged() {
-    const selectElement = document.getElementById(ID.ouConversion);
-    const descElement = document.getElementById(ID.ouConversionDesc);
-    descElement.textContent = ouConversionDescription[selectElement.value];
-  }
-
   document.addEventListener('DOMContentLoaded', restoreOptions);
+  document.addEventListener('DOMContentLoaded', showWorkoutsDirectory);
+  document.addEventListener('DOMContentLoaded', showExportHistory);
+  document.addEventListener('DOMContentLoaded', restoreUploadSettings);
   document.getElementById(ID.saveButton).addEventListener('click', saveOptions);
+  document.getElementById(ID.profile)
+      .addEventListener('change', selectProfile);
+  document.getElementById(ID.addProfileButton)
+      .addEventListener('click', addProfile);
+  document.getElementById(ID.renameProfileButton)
+      .addEventListener('click', renameProfile);
+  document.getElementById(ID.deleteProfileButton)
+      .addEventListener('click', deleteProfile);
+  document.getElementById(ID.exportProfilesButton)
+      .addEventListener('click', exportProfiles);
+  document.getElementById(ID.importProfilesButton)
+      .addEventListener('click', () =>
+        document.getElementById(ID.importProfilesFile).click());
+  document.getElementById(ID.importProfilesFile)
+      .addEventListener('change', importProfiles);
   document.getElementById(ID.restoreDefaultsButton)
       .addEventListener('click', restoreDefaults);
-  document.getElementById(ID.rampConversion)
-      .addEventListener('change', rampConversionChanged);
-  document.getElementById(ID.ouConversion)
-      .addEventListener('change', ouConversionChanged);
+  const fieldIds = new Set([...Object.keys(descriptions),
+    ...Object.keys(optionDefinitions).map((name) => ID[name])]);
+  for (const id of fieldIds) {
+    document.getElementById(id)
+        .addEventListener('change', () => fieldChanged(id));
+  }
+  for (const id of [ID.uploadApiKey, ID.uploadAthleteId, ID.uploadBaseUrl,
+    ID.uploadFormat]) {
+    document.getElementById(id)
+        .addEventListener('input', uploadSettingsChanged);
+  }
+  document.getElementById(ID.testUploadButton)
+      .addEventListener('click', testUpload);
+  document.getElementById(ID.chooseWorkoutsDirectoryButton)
+      .addEventListener('click', chooseWorkoutsDirectory);
+  document.getElementById(ID.grantWorkoutsDirectoryButton)
+      .addEventListener('click', grantWorkoutsDirectory);
+  document.getElementById(ID.forgetWorkoutsDirectoryButton)
+      .addEventListener('click', forgetWorkoutsDirectory);
+  document.getElementById(ID.clearExportHistoryButton)
+      .addEventListener('click', clearHistory);
 }
 
 init();
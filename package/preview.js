@@ -0,0 +1,554 @@
+/**
+ * preview.js
+ *
+ * Shows an overlay on the TrainerRoad workout page with a chart of the
+ * original workout and the converted Zwift intervals, so the effect of the
+ * conversion options can be checked, and changed, before downloading.
+ */
+
+/* global IntervalType, FileFormat, fileFormatLabels, getZwiftIntervals,
+          scaleWorkoutData, getIntervalDuration, getPowerPoints,
+          getWorkoutName, getWorkoutId, fetchWorkoutDetails, getOptions,
+          assertValidWorkout, generateWorkoutFile, saveWorkoutFile,
+          computeFidelityReport, estimateXp, showErrorNotice, showNotice,
+          optionDefinitions, getWorkoutOverrides, setWorkoutOverrides,
+          getWorkoutOptions, getWorkoutIntervals, getIntervalErrors,
+          createIntervalEditor, setIntervalEdits, getEditedWorkout,
+          recordExport */
+/* exported previewZWO */
+
+
+/**
+ * The conversion options that can be changed in the preview, with the
+ * user-visible labels of their values.
+ * @type {Object<string, Object>}
+ */
+const previewChoices = Object.freeze({
+  rampConversion: {
+    label: 'Ramp conversion',
+    values: {none: 'None', internal: 'Internal', all: 'All'},
+  },
+  stepConversion: {
+    label: 'Step conversion',
+    values: {none: 'None', ramps: 'Steps to ramps', steps: 'Ramps to steps'},
+  },
+  ouConversion: {
+    label: 'Over-under conversion',
+    values: {strict: 'Strict', loose: 'Loose', custom: 'Custom', none: 'None'},
+  },
+  freeRide: {
+    label: 'Free ride conversion',
+    values: {none: 'None', recovery: 'Recovery'},
+  },
+  format: {
+    label: 'Format',
+    values: fileFormatLabels,
+  },
+  intensity: {
+    label: 'Intensity',
+    values: Object.fromEntries([85, 90, 95, 100, 105, 110, 115].map(
+        (percent) => [percent, `${percent}%`])),
+  },
+  xpMode: {
+    label: 'XP',
+    values: {off: 'Off', optimize: 'Optimize'},
+  },
+  xpMaxDeviation: {
+    label: 'Max XP deviation',
+    values: Object.fromEntries([0, 2, 5, 10, 20].map(
+        (percent) => [percent, `${percent}%`])),
+  },
+});
+
+
+/**
+ * The numeric detection thresholds that can be changed in the preview,
+ * with their user-visible labels. Their valid ranges are in
+ * optionDefinitions.
+ * @type {Object<string, string>}
+ */
+const previewThresholds = Object.freeze({
+  ouTolerance: 'Custom over-under tolerance (% FTP)',
+  ouMinSplitDuration: 'Min over-under split (s)',
+  slopeTolerance: 'Slope tolerance (0.001% FTP/s)',
+});
+
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tag - The SVG tag name.
+ * @param {Object} attributes - The attributes of the element.
+ * @return {SVGElement} - The new element.
+ */
+function createSvgElement(tag, attributes) {
+  const element =
+      document.createElementNS('http://www.w3.org/2000/svg', tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  return element;
+}
+
+
+/**
+ * Draws the original TrainerRoad power profile and the converted Zwift
+ * intervals on top of each other. Segments that became over-unders, were
+ * flattened from ramps or became free rides are highlighted.
+ * @param {SVGElement} svg - The SVG element to draw in.
+ * @param {Array} data - The TrainerRoad workout data, with 'Seconds'
+ *                       (milliseconds) and 'FtpPercent' attributes.
+ * @param {Array} intervals - The Zwift intervals.
+ */
+function drawPreviewChart(svg, data, intervals) {
+  const width = 800;
+  const height = 300;
+  const original = Array.isArray(data) ? data.map((dataPoint) =>
+    ({seconds: dataPoint.Seconds / 1000, power: dataPoint.FtpPercent})) : [];
+  const converted = getPowerPoints(intervals);
+  const totalSeconds = Math.max(1, original.at(-1)?.seconds ?? 0,
+      converted.at(-1)?.seconds ?? 0);
+  const maxPower = 1.1 * Math.max(120,
+      ...original.map((point) => point.power),
+      ...converted.map((point) => point.power));
+
+  /**
+   * Converts a time to an x coordinate.
+   * @param {number} seconds - The time in seconds.
+   * @return {number} - The x coordinate.
+   */
+  function x(seconds) {
+    return seconds / totalSeconds * width;
+  }
+
+  /**
+   * Converts a power target to a y coordinate.
+   * @param {number} power - The power target in percent of FTP.
+   * @return {number} - The y coordinate.
+   */
+  function y(power) {
+    return height - power / maxPower * height;
+  }
+
+  /**
+   * Converts points to the value of an SVG 'points' attribute.
+   * @param {Array} points - Points with 'seconds' and 'power' attributes.
+   * @return {string} - The attribute value.
+   */
+  function pointsAttribute(points) {
+    return points.map((point) => `${x(point.seconds)},${y(point.power)}`)
+        .join(' ');
+  }
+
+  svg.replaceChildren();
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  let start = 0;
+  for (const interval of intervals) {
+    const duration = getIntervalDuration(interval);
+    let highlight;
+    if (interval.type === IntervalType.OVER_UNDER) {
+      highlight = 'ZWO-preview-over-under';
+    } else if (interval.type === IntervalType.FREE_RIDE) {
+      highlight = 'ZWO-preview-free-ride';
+    } else if (interval.flattened) {
+      highlight = 'ZWO-preview-flattened';
+    }
+    if (highlight) {
+      svg.appendChild(createSvgElement('rect', {
+        'class': highlight,
+        'x': x(start),
+        'y': 0,
+        'width': x(start + duration) - x(start),
+        'height': height,
+      }));
+    }
+    start += duration;
+  }
+
+  svg.appendChild(createSvgElement('line', {
+    'class': 'ZWO-preview-ftp',
+    'x1': 0, 'y1': y(100), 'x2': width, 'y2': y(100),
+  }));
+  if (original.length > 0) {
+    svg.appendChild(createSvgElement('polygon', {
+      'class': 'ZWO-preview-original',
+      'points': pointsAttribute([{seconds: original[0].seconds, power: 0},
+        ...original, {seconds: original.at(-1).seconds, power: 0}]),
+    }));
+  }
+  svg.appendChild(createSvgElement('polyline', {
+    'class': 'ZWO-preview-converted',
+    'points': pointsAttribute(converted),
+  }));
+}
+
+
+/**
+ * Summarizes the converted intervals, with the estimated Zwift XP, e.g.
+ * "3 segments: 1 Warmup, 1 IntervalsT, 1 Cooldown. Estimated XP: 540
+ * (Warmup 60, IntervalsT 420, Cooldown 60)".
+ * @param {Array} intervals - The Zwift intervals.
+ * @param {Object} options - The options, for the XP estimate (see
+ *                           estimateXp).
+ * @return {string} - The summary.
+ */
+function summarizeIntervals(intervals, options) {
+  if (intervals.length === 0) {
+    return 'No intervals could be found in this workout.';
+  }
+  const counts = new Map();
+  for (const interval of intervals) {
+    counts.set(interval.type, (counts.get(interval.type) ?? 0) + 1);
+  }
+  const types = Array.from(counts.entries())
+      .map(([type, count]) => `${count} ${type}`).join(', ');
+  const xp = estimateXp(intervals, options);
+  const xpByType = Object.entries(xp.byType)
+      .map(([type, typeXp]) => `${type} ${typeXp}`).join(', ');
+  return `${intervals.length} segments: ${types}. ` +
+      `Estimated XP: ${xp.total} (${xpByType})`;
+}
+
+
+/**
+ * Renders a fidelity report as a table comparing the original and
+ * converted metrics, followed by the power deviation of each segment.
+ * @param {HTMLElement} container - The element to render the report in.
+ * @param {Object} report - The report from computeFidelityReport.
+ */
+function renderFidelityReport(container, report) {
+  /**
+   * Creates a table row.
+   * @param {string} cellTag - The tag of the cells, 'th' or 'td'.
+   * @param {Array<string>} cells - The text of the cells.
+   * @return {HTMLTableRowElement} - The new row.
+   */
+  function createRow(cellTag, cells) {
+    const row = document.createElement('tr');
+    for (const text of cells) {
+      const cell = document.createElement(cellTag);
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    return row;
+  }
+
+  const {original, converted} = report;
+  const metrics = document.createElement('table');
+  metrics.className = 'ZWO-preview-report';
+  metrics.append(
+      createRow('th', ['', 'TrainerRoad', 'Converted']),
+      createRow('td', ['Duration (min)', (original.duration / 60).toFixed(1),
+        (converted.duration / 60).toFixed(1)]),
+      createRow('td', ['Work (kJ)', original.kj.toFixed(0),
+        converted.kj.toFixed(0)]),
+      createRow('td', ['TSS', original.tss.toFixed(1),
+        converted.tss.toFixed(1)]),
+      createRow('td', ['IF', original.intensityFactor.toFixed(2),
+        converted.intensityFactor.toFixed(2)]),
+      createRow('td', ['NP (% FTP)', original.normalizedPower.toFixed(0),
+        converted.normalizedPower.toFixed(0)]),
+      createRow('td', ['Zwift XP (estimate)',
+        String(report.xp.original.total), String(report.xp.converted.total)]),
+  );
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  const segments = document.createElement('table');
+  summary.textContent = 'Max power deviation: ' +
+      `${report.maxDeviation.toFixed(1)}% FTP`;
+  segments.className = 'ZWO-preview-report';
+  segments.appendChild(createRow('th',
+      ['#', 'Segment', 'Start (min)', 'Duration (s)', 'Max deviation',
+        'XP']));
+  report.segments.forEach((segment, index) => {
+    segments.appendChild(createRow('td', [String(index + 1), segment.type,
+      (segment.start / 60).toFixed(1), String(segment.duration),
+      `${segment.maxDeviation.toFixed(1)}%`, String(segment.xp)]));
+  });
+  details.append(summary, segments);
+
+  container.replaceChildren(metrics, details);
+}
+
+
+/**
+ * Shows the preview overlay for a workout. Changes to the options in the
+ * overlay apply only to the preview and to downloads from the overlay,
+ * except that the over-under and slope detection settings can be saved
+ * for the workout, to be used whenever it is downloaded. The intervals can
+ * also be edited, and the edits saved for the workout.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals, and any saved 'intervalEdits'
+ *                           (see getWorkoutIntervals).
+ * @param {Object} options - The options to start with.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {boolean} hasOverrides - Whether settings were saved for the
+ *                                 workout.
+ */
+function showPreview(workout, options, workoutId, hasOverrides) {
+  const previewOptions = {...options};
+  let edits = workout?.intervalEdits;
+  let editor;
+  const overlay = document.createElement('div');
+  const panel = document.createElement('div');
+  const title = document.createElement('h2');
+  const controls = document.createElement('div');
+  const svg = createSvgElement('svg', {
+    'class': 'ZWO-preview-chart',
+    'role': 'img',
+    'aria-label': 'Power profile of the original and converted workout',
+  });
+  const legend = document.createElement('div');
+  const summary = document.createElement('p');
+  const report = document.createElement('div');
+  const editorSection = document.createElement('div');
+  const saveEditsButton = document.createElement('button');
+  const discardEditsButton = document.createElement('button');
+  const buttons = document.createElement('div');
+  const downloadButton = document.createElement('button');
+  const saveButton = document.createElement('button');
+  const forgetButton = document.createElement('button');
+  const editButton = document.createElement('button');
+  const closeButton = document.createElement('button');
+
+  /**
+   * Returns the workout with the current interval edits, if any, instead
+   * of those it was shown with.
+   * @return {Object} - The workout.
+   */
+  function getPreviewWorkout() {
+    return {...workout, intervalEdits: edits};
+  }
+
+  /**
+   * Shows the interval editor for the current edits.
+   */
+  function showEditor() {
+    editor = createIntervalEditor(edits.intervals, (intervals, errors) => {
+      saveEditsButton.disabled = errors.length > 0;
+      render();
+    });
+    editorSection.replaceChildren(editor, saveEditsButton,
+        discardEditsButton);
+    editButton.hidden = true;
+  }
+
+  /**
+   * Redraws the chart and summary with the current preview options, or
+   * the edited intervals.
+   */
+  function render() {
+    if (edits && edits.intensity !== previewOptions.intensity &&
+        getIntervalErrors(edits.intervals).length === 0) {
+      // Keep editing the intervals at the intensity shown.
+      edits = {
+        intensity: previewOptions.intensity,
+        intervals: getWorkoutIntervals(getPreviewWorkout(), previewOptions),
+      };
+      showEditor();
+    }
+    if (edits && getIntervalErrors(edits.intervals).length > 0) {
+      summary.textContent = 'Fix the edited intervals to update the preview.';
+      return;
+    }
+    const intervals = getWorkoutIntervals(getPreviewWorkout(), previewOptions);
+    drawPreviewChart(svg, scaleWorkoutData(workout?.WorkoutData,
+        previewOptions.intensity), intervals);
+    summary.textContent = summarizeIntervals(intervals, previewOptions);
+    renderFidelityReport(report, computeFidelityReport(workout?.WorkoutData,
+        intervals, previewOptions));
+  }
+
+  /**
+   * Removes the overlay.
+   */
+  function close() {
+    document.removeEventListener('keydown', onKeyDown);
+    overlay.remove();
+  }
+
+  /**
+   * Closes the overlay when the Escape key is pressed.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  function onKeyDown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  document.getElementById('ZWO-preview')?.remove();
+  overlay.id = 'ZWO-preview';
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      close();
+    }
+  });
+  panel.className = 'ZWO-preview-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('aria-labelledby', 'ZWO-preview-title');
+  title.id = 'ZWO-preview-title';
+  title.textContent = `Preview: ${getWorkoutName(workout)}`;
+
+  controls.className = 'ZWO-preview-controls';
+  for (const [key, choice] of Object.entries(previewChoices)) {
+    const label = document.createElement('label');
+    const select = document.createElement('select');
+    const numeric = typeof previewOptions[key] === 'number';
+    const values = {...choice.values};
+    if (!(previewOptions[key] in values)) {
+      // E.g. an intensity from the options page that isn't in the list.
+      values[previewOptions[key]] =
+          numeric ? `${previewOptions[key]}%` : previewOptions[key];
+    }
+    for (const [value, text] of Object.entries(values)) {
+      select.appendChild(new Option(text, value));
+    }
+    select.value = previewOptions[key];
+    select.addEventListener('change', () => {
+      previewOptions[key] = numeric ? Number(select.value) : select.value;
+      render();
+    });
+    label.append(`${choice.label}: `, select);
+    controls.appendChild(label);
+  }
+  for (const [key, text] of Object.entries(previewThresholds)) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = optionDefinitions[key].min;
+    input.max = optionDefinitions[key].max ?? '';
+    input.step = 1;
+    input.value = previewOptions[key];
+    input.addEventListener('change', () => {
+      if (Number.isInteger(input.valueAsNumber) && input.checkValidity()) {
+        previewOptions[key] = input.valueAsNumber;
+        render();
+      }
+    });
+    label.append(`${text}: `, input);
+    controls.appendChild(label);
+  }
+
+  legend.className = 'ZWO-preview-legend';
+  for (const [className, text] of [
+    ['ZWO-preview-original', 'TrainerRoad'],
+    ['ZWO-preview-converted', 'Converted'],
+    ['ZWO-preview-over-under', 'Over-under'],
+    ['ZWO-preview-flattened', 'Flattened ramp'],
+    ['ZWO-preview-free-ride', 'Free ride'],
+  ]) {
+    const swatch = document.createElement('span');
+    swatch.className = `ZWO-preview-swatch ${className}`;
+    legend.append(swatch, text);
+  }
+
+  buttons.className = 'ZWO-preview-buttons';
+  downloadButton.textContent = 'Download';
+  downloadButton.addEventListener('click', async () => {
+    try {
+      const format = previewOptions.format ?? FileFormat.ZWO;
+      const date = new Date();
+      const workoutFile = generateWorkoutFile(getPreviewWorkout(),
+          previewOptions, format, date);
+      await saveWorkoutFile(workoutFile, previewOptions);
+      await recordExport(workoutId, getPreviewWorkout(), previewOptions,
+          format, workoutFile, date);
+    } catch (error) {
+      showErrorNotice(error);
+    }
+  });
+  saveButton.textContent = 'Save for this workout';
+  saveButton.title = 'Use these over-under and slope settings whenever ' +
+      'this workout is downloaded';
+  saveButton.addEventListener('click', async () => {
+    try {
+      await setWorkoutOverrides(workoutId, previewOptions);
+      forgetButton.hidden = false;
+      showNotice('Settings saved for this workout.');
+    } catch (error) {
+      showErrorNotice(error);
+    }
+  });
+  forgetButton.textContent = 'Forget saved settings';
+  forgetButton.hidden = !hasOverrides;
+  forgetButton.addEventListener('click', async () => {
+    try {
+      await setWorkoutOverrides(workoutId);
+      forgetButton.hidden = true;
+      showNotice('Saved settings forgotten for this workout.');
+    } catch (error) {
+      showErrorNotice(error);
+    }
+  });
+  editButton.textContent = 'Edit intervals';
+  editButton.addEventListener('click', () => {
+    edits = {
+      intensity: previewOptions.intensity,
+      intervals: structuredClone(
+          getZwiftIntervals(workout?.WorkoutData, previewOptions)),
+    };
+    showEditor();
+    render();
+  });
+  editorSection.className = 'ZWO-preview-editor';
+  saveEditsButton.textContent = 'Save edits for this workout';
+  saveEditsButton.addEventListener('click', async () => {
+    try {
+      await setIntervalEdits(workoutId, structuredClone(edits));
+      showNotice('Edited intervals saved for this workout. They are used ' +
+          'instead of the conversion options.');
+    } catch (error) {
+      showErrorNotice(error);
+    }
+  });
+  discardEditsButton.textContent = 'Discard edits';
+  discardEditsButton.addEventListener('click', async () => {
+    try {
+      await setIntervalEdits(workoutId);
+      edits = undefined;
+      editor = undefined;
+      editorSection.replaceChildren();
+      editButton.hidden = false;
+      render();
+    } catch (error) {
+      showErrorNotice(error);
+    }
+  });
+  closeButton.textContent = 'Close';
+  closeButton.addEventListener('click', close);
+  buttons.append(downloadButton, saveButton, forgetButton, editButton,
+      closeButton);
+
+  if (edits) {
+    showEditor();
+  }
+  panel.append(title, controls, svg, legend, summary, report, editorSection,
+      buttons);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+  document.addEventListener('keydown', onKeyDown);
+  render();
+  downloadButton.focus();
+}
+
+
+/**
+ * Fetches the current workout and shows the preview overlay for it.
+ * @return {Promise<void>} A promise that resolves when the preview is shown.
+ */
+async function previewZWO() {
+  try {
+    const workoutId = getWorkoutId();
+    const options = await getWorkoutOptions(workoutId, await getOptions());
+    const overrides = await getWorkoutOverrides(workoutId);
+    const workoutDetails = await fetchWorkoutDetails(workoutId);
+    assertValidWorkout(workoutDetails?.Workout);
+    showPreview(await getEditedWorkout(workoutId, workoutDetails?.Workout),
+        options, workoutId, overrides !== undefined);
+  } catch (error) {
+    showErrorNotice(error);
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * profiles.js
+ *
+ * Named profiles of conversion options, e.g. one per rider or type of
+ * workout. The profiles are kept in chrome.storage.sync, an item each, with
+ * an index under 'optionProfiles' that has their names, the name of the
+ * active profile, which the 'ZWO' button and the library, calendar and plan
+ * pages use, and a version number, so that profiles stored by another
+ * version of the extension can be migrated. Profiles can be exported and
+ * imported as JSON, to share them. Used by the content script and the
+ * options page.
+ */
+
+/* global module, require */
+/* exported defaultProfileName, getOptionProfiles, setOptionProfiles,
+            getProfileOptions, setProfileOptions, exportOptionProfiles,
+            importOptionProfiles, checkProfileName */
+
+
+/**
+ * The version of the stored profiles. Version 0 is the single 'options'
+ * object stored before there were profiles.
+ * @type {number}
+ */
+const optionProfilesVersion = 1;
+
+
+/**
+ * The name of the profile that the options stored before there were
+ * profiles become.
+ * @type {string}
+ */
+const defaultProfileName = 'Default';
+
+
+/**
+ * The longest profile name, in characters.
+ * @type {number}
+ */
+const maxProfileNameLength = 40;
+
+
+/**
+ * The start of the key of each profile's item in synchronized storage,
+ * which ends with the profile name. Chrome limits the size of each item to
+ * 8 KB, so the profiles aren't kept in one.
+ * @type {string}
+ */
+const optionProfileKeyPrefix = 'optionProfile:';
+
+
+/**
+ * The 'format' of exported profiles, to recognize them on import.
+ * @type {string}
+ */
+const optionProfilesFormat = 'trzwo-profiles';
+
+
+/**
+ * Brings stored profiles up to the current version. The options in each
+ * profile are kept as stored, and only sanitized when used, so options
+ * added by a later version get their defaults without losing the others.
+ * @param {Object} stored - The items in synchronized storage: the
+ *                          'optionProfiles' index, an item for each
+ *                          profile (see optionProfileKeyPrefix), and the
+ *                          'options' of version 0.
+ * @return {Object} - The profiles, with 'version', 'active' (name) and
+ *                    'profiles' (options by name) attributes.
+ */
+function migrateOptionProfiles(stored) {
+  const data = stored.optionProfiles;
+  if (typeof data !== 'object' || data === null ||
+      !Array.isArray(data.names)) {
+    // Version 0: the 'options' object is left in storage, for any older
+    // version of the extension on another computer.
+    return {
+      version: optionProfilesVersion,
+      active: defaultProfileName,
+      profiles: {[defaultProfileName]: stored.options ?? defaultOptions},
+    };
+  }
+  // A later version may have stored more, which is kept. A profile whose
+  // item hasn't been synced yet is left out.
+  const {names, ...index} = data;
+  const profiles = {};
+  for (const name of names) {
+    if (optionProfileKeyPrefix + name in stored) {
+      profiles[name] = stored[optionProfileKeyPrefix + name];
+    }
+  }
+  if (Object.keys(profiles).length === 0) {
+    profiles[defaultProfileName] = defaultOptions;
+  }
+  return {
+    ...index,
+    version: Math.max(index.version ?? 0, optionProfilesVersion),
+    active: index.active in profiles ? index.active : Object.keys(profiles)[0],
+    profiles,
+  };
+}
+
+
+/**
+ * Retrieves the option profiles. The options of version 0 are saved as the
+ * default profile the first time, so they are only migrated once.
+ * @return {Promise<Object>} A promise that resolves to the profiles (see
+ *                           migrateOptionProfiles).
+ */
+async function getOptionProfiles() {
+  const stored = await chrome.storage.sync.get(null);
+  const data = migrateOptionProfiles(stored);
+  if (stored.options !== undefined &&
+      !Array.isArray(stored.optionProfiles?.names)) {
+    try {
+      await setOptionProfiles(data);
+    } catch (error) {
+      // They are migrated again next time.
+      console.error('Migrating the options failed:', error);
+    }
+  }
+  return data;
+}
+
+
+/**
+ * Saves the option profiles, each in its own item, and the index of their
+ * names. The items of profiles that were deleted or renamed are removed
+ * once the others are saved, so nothing is lost if saving fails.
+ * @param {Object} data - The profiles (see migrateOptionProfiles).
+ * @return {Promise<void>} A promise that resolves when the profiles are
+ *                         saved.
+ * @throws {Error} - If they don't fit in synchronized storage.
+ */
+async function setOptionProfiles(data) {
+  const {profiles, ...index} = data;
+  const items = {optionProfiles: {...index, names: Object.keys(profiles)}};
+  for (const [name, options] of Object.entries(profiles)) {
+    items[optionProfileKeyPrefix + name] = options;
+  }
+  try {
+    await chrome.storage.sync.set(items);
+  } catch (error) {
+    if (/QUOTA_BYTES|MAX_ITEMS/.test(error.message)) {
+      throw new Error('The profiles don\'t fit in Chrome\'s synchronized ' +
+          'storage. Delete some of them, or import fewer, and try again.',
+      {cause: error});
+    }
+    throw error;
+  }
+  const stale = Object.keys(await chrome.storage.sync.get(null))
+      .filter((key) => key.startsWith(optionProfileKeyPrefix) &&
+        !(key in items));
+  if (stale.length > 0) {
+    await chrome.storage.sync.remove(stale);
+  }
+}
+
+
+/**
+ * Retrieves the options of a profile.
+ * @param {string} [name] - The name of the profile. Defaults to the active
+ *                          profile, as does a profile that doesn't exist.
+ * @return {Promise<Object>} A promise that resolves to the sanitized
+ *                           options.
+ */
+async function getProfileOptions(name) {
+  const {active, profiles} = await getOptionProfiles();
+  return sanitizeOptions(profiles[name] ?? profiles[active]);
+}
+
+
+/**
+ * Saves the options of a profile, creating it if needed. Options that this
+ * version doesn't know, stored by a later one, are kept.
+ * @param {Object} data - The profiles (see migrateOptionProfiles), which
+ *                        are changed.
+ * @param {string} name - The name of the profile.
+ * @param {Object} options - The options.
+ * @return {Promise<void>} A promise that resolves when the profiles are
+ *                         saved.
+ */
+async function setProfileOptions(data, name, options) {
+  data.profiles[name] = {...data.profiles[name], ...sanitizeOptions(options)};
+  await setOptionProfiles(data);
+}
+
+
+/**
+ * Checks a new profile name.
+ * @param {string} name - The name, trimmed.
+ * @param {Object} data - The profiles (see migrateOptionProfiles).
+ * @return {string|null} - What is wrong with the name, or null if nothing.
+ */
+function checkProfileName(name, data) {
+  if (!name) {
+    return 'Enter a name for the profile.';
+  }
+  if (name.length > maxProfileNameLength) {
+    return `Profile names can be up to ${maxProfileNameLength} characters.`;
+  }
+  if (name in data.profiles) {
+    return `There is already a profile named '${name}'.`;
+  }
+  return null;
+}
+
+
+/**
+ * Writes option profiles as JSON, for sharing.
+ * @param {Object} data - The profiles (see migrateOptionProfiles).
+ * @param {Array<string>} [names] - The names of the profiles to export.
+ *                                  Defaults to all of them.
+ * @return {string} - The JSON.
+ */
+function exportOptionProfiles(data, names = Object.keys(data.profiles)) {
+  return JSON.stringify({
+    format: optionProfilesFormat,
+    version: optionProfilesVersion,
+    profiles: Object.fromEntries(names.map((name) =>
+      [name, sanitizeOptions(data.profiles[name])])),
+  }, null, 2);
+}
+
+
+/**
+ * Reads option profiles exported by exportOptionProfiles, from any
+ * version. Options that are missing or invalid get their defaults.
+ * @param {string} text - The JSON.
+ * @return {Object<string, Object>} - The options, by profile name.
+ * @throws {Error} - If the text isn't exported profiles.
+ */
+function importOptionProfiles(text) {
+  let imported;
+  try {
+    imported = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file isn\'t JSON.', {cause: error});
+  }
+  if (imported?.format !== optionProfilesFormat ||
+      typeof imported.profiles !== 'object' || imported.profiles === null) {
+    throw new Error('The file doesn\'t contain trzwo option profiles.');
+  }
+  const profiles = {};
+  for (const [name, options] of Object.entries(imported.profiles)) {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.length > maxProfileNameLength) {
+      throw new Error(`The profile name '${name}' isn't valid.`);
+    }
+    profiles[trimmed] = sanitizeOptions(options);
+  }
+  if (Object.keys(profiles).length === 0) {
+    throw new Error('The file contains no profiles.');
+  }
+  return profiles;
+}
+
+
+// Under Node, export this as a module, for the tests.
+if (typeof module !== 'undefined') {
+  module.exports = {
+    migrateOptionProfiles,
+    getOptionProfiles,
+    setOptionProfiles,
+    getProfileOptions,
+    setProfileOptions,
+    exportOptionProfiles,
+    importOptionProfiles,
+    checkProfileName,
+  };
+  /* eslint-disable no-var */
+  var {defaultOptions, sanitizeOptions} = require('./convert.js');
+  /* eslint-enable no-var */
+}
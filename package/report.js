@@ -0,0 +1,196 @@
+/**
+ * report.js
+ *
+ * Computes a report comparing the original TrainerRoad power profile with
+ * the converted Zwift intervals, so it's clear how much the ramp and
+ * over-under conversions changed the workout.
+ */
+
+/* global module, require */
+/* exported computeFidelityReport, formatFidelityReport */
+
+
+/**
+ * Samples a piecewise linear power profile at the start of each second.
+ * Sampling at whole seconds matches the TrainerRoad workout data, where a
+ * step in power shows up as a change over the second before it (see
+ * getZwiftIntervals).
+ * @param {Array} points - Points with 'seconds' and 'power' attributes,
+ *                         sorted by time. Consecutive points at the same
+ *                         time represent a step in power.
+ * @return {Array<number>} - The power for each second, in percent of FTP.
+ */
+function getPowerSeries(points) {
+  const series = [];
+  const totalSeconds = Math.round(points.at(-1)?.seconds ?? 0);
+  let index = 0;
+  for (let second = 0; second < totalSeconds; second++) {
+    while (index < points.length - 2 && points[index + 1].seconds <= second) {
+      index++;
+    }
+    const a = points[index];
+    const b = points[index + 1] ?? a;
+    const fraction = b.seconds > a.seconds ?
+      Math.min(1, (second - a.seconds) / (b.seconds - a.seconds)) :
+      0;
+    series.push(a.power + (b.power - a.power) * fraction);
+  }
+  return series;
+}
+
+
+/**
+ * Computes the usual training metrics for a power series.
+ * @param {Array<number>} series - The power for each second, in percent
+ *                                 of FTP.
+ * @param {number} ftp - The FTP in watts, used to compute the work done.
+ * @return {Object} - An object with 'duration' (seconds), 'kj',
+ *                    'normalizedPower' (percent of FTP),
+ *                    'intensityFactor' and 'tss' attributes.
+ */
+function getPowerMetrics(series, ftp) {
+  const rollingWindow = 30; // Seconds, for normalized power
+  const duration = series.length;
+  const total = series.reduce((sum, power) => sum + power, 0);
+  let normalizedPower = duration > 0 ? total / duration : 0;
+  if (duration >= rollingWindow) {
+    let windowSum = 0;
+    let fourthPowerSum = 0;
+    for (let index = 0; index < duration; index++) {
+      windowSum += series[index];
+      if (index >= rollingWindow) {
+        windowSum -= series[index - rollingWindow];
+      }
+      if (index >= rollingWindow - 1) {
+        fourthPowerSum += (windowSum / rollingWindow) ** 4;
+      }
+    }
+    normalizedPower =
+        (fourthPowerSum / (duration - rollingWindow + 1)) ** 0.25;
+  }
+  const intensityFactor = normalizedPower / 100;
+  return {
+    duration,
+    kj: total / 100 * ftp / 1000,
+    normalizedPower,
+    intensityFactor,
+    tss: duration / 3600 * intensityFactor ** 2 * 100,
+  };
+}
+
+
+/**
+ * Computes a report comparing the original TrainerRoad workout data with
+ * the converted Zwift intervals.
+ * @param {Array} data - The TrainerRoad workout data, with 'Seconds'
+ *                       (milliseconds) and 'FtpPercent' attributes.
+ * @param {Array} intervals - The Zwift intervals.
+ * @param {Object} options - The options, for the FTP and the intensity
+ *                           (the original power targets are scaled, so the
+ *                           report shows only the effect of the conversion).
+ * @return {Object} - An object with 'original' and 'converted' metrics
+ *                    (see getPowerMetrics), per-segment 'segments' with
+ *                    'type', 'start', 'duration', 'maxDeviation' and 'xp'
+ *                    attributes, the overall 'maxDeviation', with
+ *                    deviations in percent of FTP, and the estimated Zwift
+ *                    'xp' (see estimateXp) of the 'original' workout,
+ *                    without any conversions, and of the 'converted' one.
+ */
+function computeFidelityReport(data, intervals, options) {
+  const scaledData = scaleWorkoutData(data, options.intensity);
+  const originalPoints = Array.isArray(scaledData) ?
+    scaledData.map((dataPoint) =>
+      ({seconds: dataPoint.Seconds / 1000, power: dataPoint.FtpPercent})) :
+    [];
+  const original = getPowerSeries(originalPoints);
+  const converted = getPowerSeries(getPowerPoints(intervals));
+
+  let start = 0;
+  const segments = intervals.map((interval) => {
+    const duration = getIntervalDuration(interval);
+    let maxDeviation = 0;
+    for (let second = start; second < start + duration; second++) {
+      maxDeviation = Math.max(maxDeviation,
+          Math.abs((original[second] ?? 0) - (converted[second] ?? 0)));
+    }
+    const segment = {type: interval.type, start, duration, maxDeviation,
+      xp: estimateXp([interval], options).total};
+    start += duration;
+    return segment;
+  });
+  const unconverted = getZwiftIntervals(data, {...options,
+    rampConversion: 'none', stepConversion: 'none', ouConversion: 'none',
+    freeRide: 'none', xpMode: 'off'});
+
+  return {
+    original: getPowerMetrics(original, options.ftp),
+    converted: getPowerMetrics(converted, options.ftp),
+    segments,
+    maxDeviation: Math.max(0,
+        ...segments.map((segment) => segment.maxDeviation)),
+    xp: {
+      original: estimateXp(unconverted, options),
+      converted: estimateXp(intervals, options),
+    },
+  };
+}
+
+
+/**
+ * Formats a fidelity report as plain text, suitable for a workout
+ * description.
+ * @param {Object} report - The report from computeFidelityReport.
+ * @return {string} - The formatted report.
+ */
+function formatFidelityReport(report) {
+  /**
+   * Formats a duration as h:mm:ss or m:ss.
+   * @param {number} seconds - The duration in seconds.
+   * @return {string} - The formatted duration.
+   */
+  function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ?
+      `${hours}:${String(minutes).padStart(2, '0')}:${secs}` :
+      `${minutes}:${secs}`;
+  }
+
+  const {original, converted} = report;
+  const worst = report.segments.findIndex((segment) =>
+    segment.maxDeviation === report.maxDeviation);
+  const lines = [
+    'Conversion fidelity (TrainerRoad → converted):',
+    `Duration: ${formatDuration(original.duration)} → ` +
+      `${formatDuration(converted.duration)}`,
+    `Work: ${original.kj.toFixed(0)} kJ → ${converted.kj.toFixed(0)} kJ`,
+    `TSS: ${original.tss.toFixed(1)} → ${converted.tss.toFixed(1)}`,
+    `IF: ${original.intensityFactor.toFixed(2)} → ` +
+      `${converted.intensityFactor.toFixed(2)}`,
+    `NP: ${original.normalizedPower.toFixed(0)}% → ` +
+      `${converted.normalizedPower.toFixed(0)}% FTP`,
+    `Max power deviation: ${report.maxDeviation.toFixed(1)}% FTP` +
+      (worst >= 0 && report.maxDeviation > 0 ?
+        ` (segment ${worst + 1}, ${report.segments[worst].type})` : ''),
+    `Zwift XP (estimate): ${report.xp.original.total} → ` +
+      `${report.xp.converted.total}`,
+  ];
+  return lines.join('\n');
+}
+
+
+// Under Node, export this as a module (see convert.js).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getPowerSeries,
+    getPowerMetrics,
+    computeFidelityReport,
+    formatFidelityReport,
+  };
+  /* eslint-disable no-var */
+  var {getZwiftIntervals, getIntervalDuration, getPowerPoints,
+    scaleWorkoutData} = require('./convert.js');
+  var {estimateXp} = require('./xp.js');
+  /* eslint-enable no-var */
+}
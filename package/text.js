@@ -0,0 +1,285 @@
+/**
+ * text.js
+ *
+ * Writes Zwift intervals in the plain-text workout syntax of intervals.icu
+ * (also understood by other coaching tools), e.g. "- 5m 70%" for a steady
+ * state, "- 10m ramp 50-75%" for a ramp and a "4x" block for an over-under,
+ * and reads them back. Power targets are kept to a tenth of a percent of
+ * FTP, finer than ZWO files keep them, so a workout read back converts to
+ * the same ZWO file.
+ */
+
+/* global module, require */
+/* exported formatTextWorkout, parseTextWorkout, generateTextWorkout */
+
+
+/**
+ * Formats a duration, e.g. "1h5m", "2m30s" or "45s".
+ * @param {number} seconds - The duration in seconds.
+ * @return {string} - The formatted duration.
+ */
+function formatTextDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  const rest = seconds % 60;
+  return (hours ? `${hours}h` : '') + (minutes ? `${minutes}m` : '') +
+      (rest || seconds === 0 ? `${rest}s` : '');
+}
+
+
+/**
+ * Formats a power target, to a tenth of a percent of FTP.
+ * @param {number} power - The power target, in percent of FTP.
+ * @return {string} - The formatted power target, without the '%'.
+ */
+function formatTextPower(power) {
+  return String(Number(power.toFixed(1)));
+}
+
+
+/**
+ * Formats an interval, other than an over-under, as a step line. Free rides
+ * keep their power, which Zwift ignores, so they can be read back.
+ * @param {Object} i - The Zwift interval.
+ * @return {string} - The step line.
+ */
+function formatTextStep(i) {
+  const duration = formatTextDuration(i.duration);
+  switch (i.type) {
+    case IntervalType.FREE_RIDE:
+      return `- ${duration} ${formatTextPower(i.startPower)}% freeride`;
+    case IntervalType.RAMP:
+    case IntervalType.WARMUP:
+    case IntervalType.COOLDOWN:
+      return `- ${duration} ramp ${formatTextPower(i.startPower)}-` +
+          `${formatTextPower(i.endPower)}%`;
+    default:
+      return `- ${duration} ${formatTextPower(i.startPower)}%`;
+  }
+}
+
+
+/**
+ * Writes Zwift intervals in the text syntax. Warmups and cooldowns get a
+ * 'Warmup' or 'Cooldown' heading, and over-unders become repeat blocks,
+ * e.g. "4x" followed by the on and off steps; the other intervals are
+ * plain steps, grouped until the next heading. Blocks are separated by
+ * blank lines.
+ * @param {Array} intervals - The Zwift intervals.
+ * @return {string} - The workout text.
+ */
+function formatTextWorkout(intervals) {
+  const blocks = [];
+  let steps = [];
+  for (const i of intervals) {
+    let block;
+    switch (i.type) {
+      case IntervalType.WARMUP:
+        block = ['Warmup', formatTextStep(i)];
+        break;
+      case IntervalType.COOLDOWN:
+        block = ['Cooldown', formatTextStep(i)];
+        break;
+      case IntervalType.OVER_UNDER:
+        block = [`${i.repeat}x`,
+          `- ${formatTextDuration(i.onDuration)} ` +
+              `${formatTextPower(i.onPower)}%`,
+          `- ${formatTextDuration(i.offDuration)} ` +
+              `${formatTextPower(i.offPower)}%`];
+        break;
+      default:
+        steps.push(formatTextStep(i));
+        continue;
+    }
+    if (steps.length > 0) {
+      blocks.push(steps);
+      steps = [];
+    }
+    blocks.push(block);
+  }
+  if (steps.length > 0) {
+    blocks.push(steps);
+  }
+  return blocks.map((lines) => lines.join('\n')).join('\n\n') + '\n';
+}
+
+
+/**
+ * Reads a workout in the text syntax, as written by formatTextWorkout, back
+ * into Zwift intervals. Repeats can also be written on one line, e.g.
+ * "3x 5m 105% 2m 55%", and the leading '-' of a step is optional. A
+ * 'Warmup' or 'Cooldown' heading makes the ramps after it, up to the next
+ * blank line or heading, warmups or cooldowns. A repeat of two steady
+ * states becomes an over-under; other repeats are written out in full.
+ * @param {string} text - The workout text.
+ * @return {Array} - The Zwift intervals.
+ * @throws {SyntaxError} - If a line can't be read.
+ */
+function parseTextWorkout(text) {
+  const durationPattern = /(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/y;
+  const powerPattern = /(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?))?%/y;
+  const intervals = [];
+  let section = null;
+  let lineNumber = 0;
+
+  /**
+   * Throws an error for the current line.
+   * @param {string} message - What is wrong.
+   * @throws {SyntaxError} - Always.
+   */
+  function fail(message) {
+    throw new SyntaxError(`${message} on line ${lineNumber}`);
+  }
+
+  /**
+   * Reads a step, e.g. "5m 70%", "10m ramp 50-75%" or "10m 50% freeride".
+   * @param {Array<string>} words - The words of the step, which are
+   *                                removed as they are read.
+   * @return {Object} - The Zwift interval.
+   */
+  function parseStep(words) {
+    const word = words.shift() ?? '';
+    durationPattern.lastIndex = 0;
+    const [match, hours, minutes, seconds] = durationPattern.exec(word);
+    const duration =
+        (hours ?? 0) * 3600 + (minutes ?? 0) * 60 + Number(seconds ?? 0);
+    if (!match || match !== word || duration === 0) {
+      fail(`Expected a duration but found '${word}'`);
+    }
+    const ramp = words[0] === 'ramp';
+    if (ramp) {
+      words.shift();
+    }
+    const target = words.shift() ?? '';
+    powerPattern.lastIndex = 0;
+    const power = powerPattern.exec(target);
+    if (!power || power[0] !== target || ramp !== (power[2] !== undefined)) {
+      fail(`Expected a ${ramp ? 'power range' : 'power'} but found ` +
+          `'${target}'`);
+    }
+    const startPower = Number(power[1]);
+    const endPower = Number(power[2] ?? power[1]);
+    if (words[0] === 'freeride' && !ramp) {
+      words.shift();
+      return {type: IntervalType.FREE_RIDE, duration, startPower, endPower};
+    }
+    const type = !ramp ? IntervalType.STEADY_STATE :
+      section === 'warmup' ? IntervalType.WARMUP :
+      section === 'cooldown' ? IntervalType.COOLDOWN : IntervalType.RAMP;
+    return {type, duration, startPower, endPower};
+  }
+
+  /**
+   * Adds a repeat: an over-under for two steady states, or else its steps,
+   * repeated.
+   * @param {number} repeat - The number of repeats.
+   * @param {Array<Object>} steps - The intervals of one repeat.
+   */
+  function addRepeat(repeat, steps) {
+    const [on, off] = steps;
+    if (steps.length === 2 && on.type === IntervalType.STEADY_STATE &&
+        off.type === IntervalType.STEADY_STATE) {
+      intervals.push({
+        type: IntervalType.OVER_UNDER,
+        repeat,
+        onDuration: on.duration,
+        offDuration: off.duration,
+        onPower: on.startPower,
+        offPower: off.startPower,
+      });
+    } else {
+      for (let r = 0; r < repeat; r++) {
+        intervals.push(...steps.map((step) => ({...step})));
+      }
+    }
+  }
+
+  let repeat = null;
+  const finishRepeat = () => {
+    if (repeat) {
+      if (repeat.steps.length === 0) {
+        fail(`Expected steps after '${repeat.count}x'`);
+      }
+      addRepeat(repeat.count, repeat.steps);
+      repeat = null;
+    }
+  };
+  for (const line of text.split(/\r?\n/)) {
+    lineNumber++;
+    const words = line.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      finishRepeat();
+      section = null;
+    } else if (words[0] === 'warmup' || words[0] === 'cooldown') {
+      finishRepeat();
+      if (words.length > 1) {
+        fail(`Unexpected '${line.trim()}'`);
+      }
+      section = words[0];
+    } else if (/^\d+x$/.test(words[0])) {
+      finishRepeat();
+      const count = parseInt(words.shift(), 10);
+      if (count === 0) {
+        fail('Expected a repeat count of at least 1');
+      }
+      repeat = {count, steps: []};
+      while (words.length > 0) {
+        repeat.steps.push(parseStep(words));
+      }
+      // A repeat written on one line ends there.
+      if (repeat.steps.length > 0) {
+        finishRepeat();
+      }
+    } else {
+      if (words[0] === '-') {
+        words.shift();
+      } else if (words[0].startsWith('-')) {
+        words[0] = words[0].slice(1);
+      }
+      const step = parseStep(words);
+      if (words.length > 0) {
+        fail(`Unexpected '${words.join(' ')}'`);
+      }
+      if (repeat) {
+        repeat.steps.push(step);
+      } else {
+        intervals.push(step);
+      }
+    }
+  }
+  finishRepeat();
+  return intervals;
+}
+
+
+/**
+ * Generates a text workout based on the provided workout and options.
+ * @param {Object} workout - The workout object containing details
+ *                           and intervals.
+ * @param {Object} options - The options object for generating the workout.
+ * @return {Object} - An object containing the filename and content of the
+ *                    text workout.
+ * @throws {ConversionError} - If the workout isn't in the expected format
+ *                             (see validateWorkout).
+ */
+function generateTextWorkout(workout, options) {
+  assertValidWorkout(workout);
+  return {
+    filename: getWorkoutFilename(getWorkoutName(workout, options), 'txt'),
+    content: formatTextWorkout(getWorkoutIntervals(workout, options)),
+  };
+}
+
+
+// Under Node, export this as a module (see convert.js).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    formatTextWorkout,
+    parseTextWorkout,
+    generateTextWorkout,
+  };
+  /* eslint-disable no-var */
+  var {IntervalType, assertValidWorkout, getWorkoutName, getWorkoutFilename,
+    getWorkoutIntervals} = require('./convert.js');
+  /* eslint-enable no-var */
+}
@@ -0,0 +1,157 @@
+/**
+ * upload.js
+ *
+ * Uploads converted workouts to intervals.icu, or to another server with
+ * the same API (e.g. a local stand-in for testing), either to the workout
+ * library or to the calendar. The settings, including the API key, are
+ * kept in chrome.storage.local, so the key isn't synced. The requests are
+ * made by the background service worker, which has permission to reach
+ * the server (see background.js); the settings are also read by the
+ * content script and the options page.
+ */
+
+/* exported uploadSettingsDefaults, getUploadSettings, setUploadSettings,
+            getUploadOrigins, getUploadFolders, uploadWorkout */
+
+
+/**
+ * The default upload settings: the API base URL, the athlete ID ('0' is
+ * the athlete the API key belongs to), the API key (none, so uploading is
+ * off) and the format of the uploaded workouts ('zwo' or 'text', for the
+ * text syntax of text.js).
+ * @type {Object}
+ */
+const uploadSettingsDefaults = Object.freeze({
+  baseUrl: 'https://intervals.icu',
+  athleteId: '0',
+  apiKey: '',
+  format: 'zwo',
+});
+
+
+/**
+ * Retrieves the upload settings.
+ * @return {Promise<Object>} A promise that resolves to the settings (see
+ *                           uploadSettingsDefaults).
+ */
+async function getUploadSettings() {
+  const {uploadSettings} = await chrome.storage.local.get('uploadSettings');
+  return {...uploadSettingsDefaults, ...uploadSettings};
+}
+
+
+/**
+ * Saves the upload settings.
+ * @param {Object} settings - The settings (see uploadSettingsDefaults).
+ * @return {Promise<void>} A promise that resolves when the settings are
+ *                         saved.
+ */
+async function setUploadSettings(settings) {
+  await chrome.storage.local.set({uploadSettings: {
+    baseUrl: settings.baseUrl.trim().replace(/\/+$/, ''),
+    athleteId: settings.athleteId.trim() || uploadSettingsDefaults.athleteId,
+    apiKey: settings.apiKey.trim(),
+    format: settings.format === 'text' ? 'text' : 'zwo',
+  }});
+}
+
+
+/**
+ * Returns the host permission needed to reach the server, for
+ * chrome.permissions.
+ * @param {string} baseUrl - The API base URL.
+ * @return {Array<string>} - The origin patterns.
+ * @throws {TypeError} - If the URL isn't valid.
+ */
+function getUploadOrigins(baseUrl) {
+  return [`${new URL(baseUrl).origin}/*`];
+}
+
+
+/**
+ * Makes a request to the API of the athlete in the upload settings.
+ * @param {string} path - The path, after '/api/v1/athlete/<id>'.
+ * @param {Object} [body] - The JSON body, for a POST request.
+ * @return {Promise<*>} A promise that resolves to the JSON response.
+ * @throws {Error} - If uploading isn't set up, or the request fails.
+ */
+async function requestUploadApi(path, body) {
+  const settings = await getUploadSettings();
+  if (!settings.apiKey) {
+    throw new Error('Add your API key on the extension\'s options page to ' +
+        'upload workouts.');
+  }
+  const url = `${settings.baseUrl}/api/v1/athlete/` +
+      `${encodeURIComponent(settings.athleteId)}${path}`;
+  const headers = {
+    'Authorization': `Basic ${btoa(`API_KEY:${settings.apiKey}`)}`,
+    'Accept': 'application/json',
+  };
+  let response;
+  try {
+    response = await fetch(url, body === undefined ? {headers} : {
+      method: 'POST',
+      headers: {...headers, 'Content-Type': 'application/json'},
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new Error(`${settings.baseUrl} couldn't be reached.`,
+        {cause: error});
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`${settings.baseUrl} refused the API key.`);
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Error uploading to ${url}; status: ${response.status}` +
+        (text ? `; ${text.slice(0, 200)}` : ''));
+  }
+  return response.json();
+}
+
+
+/**
+ * Retrieves the folders of the athlete's workout library.
+ * @return {Promise<Array<Object>>} A promise that resolves to the folders,
+ *                                  each with 'id' and 'name' attributes.
+ */
+async function getUploadFolders() {
+  const folders = await requestUploadApi('/folders');
+  return (Array.isArray(folders) ? folders : [])
+      .filter((folder) => folder?.type !== 'PLAN')
+      .map((folder) => ({id: folder.id, name: folder.name}));
+}
+
+
+/**
+ * Uploads a workout to the library or the calendar. ZWO files are uploaded
+ * as files; text workouts are uploaded as the description, which the
+ * server reads as the workout.
+ * @param {Object} upload - The workout, with 'name', 'filename', 'content'
+ *                          and 'format' ('zwo' or 'text') attributes, and
+ *                          either 'date' (YYYY-MM-DD), to add it to the
+ *                          calendar, or 'folderId' (optional), to add it to
+ *                          the library.
+ * @return {Promise<string>} A promise that resolves to the ID of the
+ *                           uploaded workout or calendar event.
+ */
+async function uploadWorkout(upload) {
+  const workout = upload.format === 'text' ?
+    {description: upload.content} :
+    {filename: upload.filename, file_contents: upload.content};
+  const result = upload.date ?
+    await requestUploadApi('/events', {
+      category: 'WORKOUT',
+      start_date_local: `${upload.date}T00:00:00`,
+      type: 'Ride',
+      name: upload.name,
+      ...workout,
+    }) :
+    await requestUploadApi('/workouts', {
+      type: 'Ride',
+      name: upload.name,
+      folder_id: upload.folderId || undefined,
+      ...workout,
+    });
+  return String(result?.id ?? '');
+}
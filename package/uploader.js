@@ -0,0 +1,212 @@
+/**
+ * uploader.js
+ *
+ * Uploads workouts from the TrainerRoad pages to intervals.icu (see
+ * upload.js): a dialog to choose a folder of the workout library or a
+ * calendar date, and a notice with the result for each workout.
+ */
+
+/* global FileFormat, getOptions, getWorkoutOptions, fetchWorkoutDetails,
+          getEditedWorkout, getWorkoutName, generateWorkoutFile,
+          generateTextWorkout, getUploadSettings, showNotice,
+          showErrorNotice */
+/* exported showUploadDialog */
+
+
+/**
+ * Formats a date as YYYY-MM-DD, in local time.
+ * @param {Date} date - The date.
+ * @return {string} - The formatted date.
+ */
+function formatLocalDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part) => String(part).padStart(2, '0')).join('-');
+}
+
+
+/**
+ * Converts a workout with the given options, and any options and edits
+ * saved for it, and uploads it.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} options - The options for the conversion.
+ * @param {string} format - 'zwo' or 'text' (see uploadSettingsDefaults).
+ * @param {Object} target - Either 'date' or 'folderId' (see uploadWorkout).
+ * @return {Promise<string>} A promise that resolves to the workout name.
+ * @throws {Error} - If the workout can't be converted or uploaded.
+ */
+async function uploadOneWorkout(workoutId, options, format, target) {
+  options = await getWorkoutOptions(workoutId, options);
+  const workoutDetails = await fetchWorkoutDetails(workoutId);
+  const workout =
+      await getEditedWorkout(workoutId, workoutDetails?.Workout);
+  const workoutFile = format === 'text' ?
+    generateTextWorkout(workout, options) :
+    generateWorkoutFile(workout, options, FileFormat.ZWO);
+  const name = getWorkoutName(workout, options);
+  const response = await chrome.runtime.sendMessage({
+    type: 'uploadWorkout',
+    upload: {name, format, ...workoutFile, ...target},
+  });
+  if (!response?.uploaded) {
+    throw new Error(response?.reason ?? 'The upload didn\'t finish.');
+  }
+  return name;
+}
+
+
+/**
+ * Uploads workouts one after the other, then shows whether each was
+ * uploaded.
+ * @param {Array<string>} workoutIds - The IDs of the workouts.
+ * @param {Object} target - Either 'date' or 'folderId' (see uploadWorkout).
+ * @return {Promise<void>} A promise that resolves when all the workouts
+ *                         have been tried.
+ */
+async function uploadWorkouts(workoutIds, target) {
+  const options = await getOptions();
+  const {format, baseUrl} = await getUploadSettings();
+  const results = [];
+  let uploaded = 0;
+  for (const workoutId of workoutIds) {
+    try {
+      const name = await uploadOneWorkout(workoutId, options, format, target);
+      results.push(`${name}: uploaded`);
+      uploaded++;
+    } catch (error) {
+      console.error(`Error uploading workout ${workoutId}: `, error);
+      results.push(`Workout ${workoutId}: ${error.message}`);
+    }
+  }
+  const host = new URL(baseUrl).host;
+  if (uploaded === workoutIds.length) {
+    showNotice(`Uploaded ${uploaded} workout${uploaded === 1 ? '' : 's'} ` +
+        `to ${host}.`, {details: results});
+  } else {
+    showNotice(`Uploaded ${uploaded} of ${workoutIds.length} workouts to ` +
+        `${host}.`, {level: 'error', details: results});
+  }
+}
+
+
+/**
+ * Shows a dialog to upload workouts to the workout library, optionally
+ * into a folder, or to the calendar on a chosen date.
+ * @param {Array<string>} workoutIds - The IDs of the workouts.
+ * @return {Promise<void>} A promise that resolves when the dialog is shown.
+ */
+async function showUploadDialog(workoutIds) {
+  let settings;
+  try {
+    settings = await getUploadSettings();
+  } catch (error) {
+    showErrorNotice(error);
+    return;
+  }
+  if (!settings.apiKey) {
+    showNotice('Add your intervals.icu API key on the extension\'s ' +
+        'options page to upload workouts.', {level: 'warning'});
+    return;
+  }
+
+  const overlay = document.createElement('div');
+  const panel = document.createElement('div');
+  const title = document.createElement('h2');
+  const libraryLabel = document.createElement('label');
+  const libraryRadio = document.createElement('input');
+  const folderSelect = document.createElement('select');
+  const calendarLabel = document.createElement('label');
+  const calendarRadio = document.createElement('input');
+  const dateInput = document.createElement('input');
+  const status = document.createElement('p');
+  const buttons = document.createElement('div');
+  const uploadButton = document.createElement('button');
+  const cancelButton = document.createElement('button');
+  const count = workoutIds.length;
+
+  /**
+   * Closes the dialog.
+   */
+  function close() {
+    document.removeEventListener('keydown', onKeyDown);
+    overlay.remove();
+  }
+
+  /**
+   * Closes the dialog when the Escape key is pressed.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  function onKeyDown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  document.getElementById('ZWO-upload')?.remove();
+  overlay.id = 'ZWO-upload';
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      close();
+    }
+  });
+  panel.className = 'ZWO-upload-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('aria-labelledby', 'ZWO-upload-title');
+  title.id = 'ZWO-upload-title';
+  const workouts = count === 1 ? 'workout' : `${count} workouts`;
+  title.textContent = `Upload ${workouts} to ${new URL(settings.baseUrl).host}`;
+
+  libraryRadio.type = 'radio';
+  libraryRadio.name = 'ZWO-upload-target';
+  libraryRadio.checked = true;
+  folderSelect.setAttribute('aria-label', 'Folder');
+  folderSelect.appendChild(new Option('No folder', ''));
+  libraryLabel.append(libraryRadio, ' Workout library, in ', folderSelect);
+  calendarRadio.type = 'radio';
+  calendarRadio.name = 'ZWO-upload-target';
+  dateInput.type = 'date';
+  dateInput.value = formatLocalDate(new Date());
+  dateInput.setAttribute('aria-label', 'Date');
+  calendarLabel.append(calendarRadio, ' Calendar, on ', dateInput);
+  folderSelect.addEventListener('focus', () => libraryRadio.checked = true);
+  dateInput.addEventListener('focus', () => calendarRadio.checked = true);
+  status.setAttribute('aria-live', 'polite');
+
+  uploadButton.textContent = 'Upload';
+  uploadButton.addEventListener('click', async () => {
+    const target = calendarRadio.checked ?
+      {date: dateInput.value || formatLocalDate(new Date())} :
+      {folderId: folderSelect.value};
+    uploadButton.disabled = true;
+    status.textContent = 'Uploading…';
+    try {
+      await uploadWorkouts(workoutIds, target);
+    } catch (error) {
+      showErrorNotice(error);
+    }
+    close();
+  });
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', close);
+  buttons.className = 'ZWO-upload-buttons';
+  buttons.append(uploadButton, cancelButton);
+
+  panel.append(title, libraryLabel, calendarLabel, status, buttons);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+  document.addEventListener('keydown', onKeyDown);
+  uploadButton.focus();
+
+  try {
+    const {folders, reason} =
+        await chrome.runtime.sendMessage({type: 'getUploadFolders'});
+    for (const folder of folders) {
+      folderSelect.appendChild(new Option(folder.name, folder.id));
+    }
+    if (reason) {
+      status.textContent = `The folders couldn't be loaded: ${reason}`;
+    }
+  } catch (error) {
+    console.error('Error getting upload folders: ', error);
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * workouts.js
+ *
+ * Fetches TrainerRoad workouts, and keeps what is saved for each workout in
+ * local storage: the options saved from the preview and the intervals
+ * edited in the interval editor. Used by the content script, and by the
+ * background service worker to download workouts from links on pages the
+ * content script doesn't run on, so it doesn't use the page.
+ */
+
+/* global ConversionError, sanitizeOptions */
+/* exported getWorkoutIdFromUrl, lastWorkoutResponse, fetchWorkoutDetails,
+            getWorkoutOverrides, setWorkoutOverrides, getWorkoutOptions,
+            setIntervalEdits, getEditedWorkout */
+
+
+/**
+ * Extracts the TrainerRoad workout ID from the URL of a workout page.
+ * @param {string} url - The URL, absolute or relative to the current page
+ *                       (or service worker).
+ * @return {string|null} - The workout ID, or null if the URL isn't of a
+ *                         workout page.
+ */
+function getWorkoutIdFromUrl(url) {
+  const path = new URL(url, location.href).pathname;
+  return path.match(/\/workouts\/(?:.*\/)?(\d+)[^/]*$/)?.[1] ?? null;
+}
+
+
+/**
+ * The most recent response from the TrainerRoad workout API, for the
+ * diagnostic bundle (see diagnostics.js): an object with 'url', 'status'
+ * and 'text' (the raw response body) attributes.
+ * @type {Object|undefined}
+ */
+let lastWorkoutResponse;
+
+
+/**
+ * Fetches workout details from the TrainerRoad workout API.
+ * @param {string} workoutId - The ID of the workout.
+ * @return {Promise<Object>} - A promise that resolves to the workout details.
+ * @throws {ConversionError} - If there is an error fetching the workout
+ *                             details.
+ */
+async function fetchWorkoutDetails(workoutId) {
+  const url = `https://www.trainerroad.com/api/workoutdetails/${workoutId}`;
+  let response;
+  try {
+    response = await fetch(url, {credentials: 'include'});
+  } catch (error) {
+    throw new ConversionError('TrainerRoad couldn\'t be reached. Check ' +
+        'your internet connection and try again.', {cause: error});
+  }
+  const text = await response.text();
+  const problems = [`Error fetching ${url}; status: ${response.status}`];
+  lastWorkoutResponse = {url, status: response.status, text};
+  if (response.status === 401 || response.status === 403) {
+    throw new ConversionError('TrainerRoad refused access to the workout. ' +
+        'Your login may have expired: reload the page, log in and try ' +
+        'again.', {problems});
+  }
+  if (!response.ok) {
+    throw new ConversionError('TrainerRoad couldn\'t provide the workout ' +
+        `(status ${response.status}).`, {problems});
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // An expired login gets the login page rather than an error status.
+    throw new ConversionError('TrainerRoad didn\'t send the workout ' +
+        'details. Your login may have expired: reload the page, log in ' +
+        'and try again.', {
+      problems: [`${url} returned ` +
+          `${response.headers.get('Content-Type') ?? 'unknown content'}`],
+      cause: error,
+    });
+  }
+}
+
+
+/**
+ * The options that can be saved for a single workout from the preview,
+ * overriding the options page: the over-under and slope detection
+ * thresholds, which some workouts need tuned.
+ * @type {Array<string>}
+ */
+const workoutOverrideNames = Object.freeze(['ouConversion', 'ouTolerance',
+  'ouMinSplitDuration', 'slopeTolerance']);
+
+
+/**
+ * Retrieves the options saved for a single workout, if any. They are kept
+ * in local storage, as there may be many of them.
+ * @param {string} workoutId - The ID of the workout.
+ * @return {Promise<Object|undefined>} A promise that resolves to the
+ *                                     saved options.
+ */
+async function getWorkoutOverrides(workoutId) {
+  const {workoutOverrides} =
+      await chrome.storage.local.get('workoutOverrides');
+  return workoutOverrides?.[workoutId];
+}
+
+
+/**
+ * Saves the options for a single workout, or forgets them.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} [options] - The options to save (only those in
+ *                             workoutOverrideNames are kept), or undefined
+ *                             to forget them.
+ * @return {Promise<void>} A promise that resolves when the options are
+ *                         saved.
+ */
+async function setWorkoutOverrides(workoutId, options) {
+  const {workoutOverrides = {}} =
+      await chrome.storage.local.get('workoutOverrides');
+  if (options) {
+    workoutOverrides[workoutId] = Object.fromEntries(
+        workoutOverrideNames.map((name) => [name, options[name]]));
+  } else {
+    delete workoutOverrides[workoutId];
+  }
+  await chrome.storage.local.set({workoutOverrides});
+}
+
+
+/**
+ * Applies the options saved for a single workout, if any, to the options.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} options - The options, e.g. from getOptions.
+ * @return {Promise<Object>} A promise that resolves to the options for the
+ *                           workout.
+ */
+async function getWorkoutOptions(workoutId, options) {
+  return sanitizeOptions({...options,
+    ...await getWorkoutOverrides(workoutId)});
+}
+
+
+/**
+ * Saves the intervals edited in the interval editor for a single workout,
+ * or forgets them.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} [edits] - The edits, with 'intervals' and 'intensity'
+ *                           attributes (see getWorkoutIntervals), or
+ *                           undefined to forget them.
+ * @return {Promise<void>} A promise that resolves when the edits are saved.
+ */
+async function setIntervalEdits(workoutId, edits) {
+  const {intervalEdits = {}} = await chrome.storage.local.get('intervalEdits');
+  if (edits) {
+    intervalEdits[workoutId] = edits;
+  } else {
+    delete intervalEdits[workoutId];
+  }
+  await chrome.storage.local.set({intervalEdits});
+}
+
+
+/**
+ * Adds the intervals saved in the interval editor for a workout, if any,
+ * to the workout, as 'intervalEdits' (see getWorkoutIntervals).
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} workout - The workout, from fetchWorkoutDetails.
+ * @return {Promise<Object>} A promise that resolves to the workout.
+ */
+async function getEditedWorkout(workoutId, workout) {
+  const {intervalEdits} = await chrome.storage.local.get('intervalEdits');
+  const edits = intervalEdits?.[workoutId];
+  return edits && workout ? {...workout, intervalEdits: edits} : workout;
+}
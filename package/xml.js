@@ -0,0 +1,261 @@
+/**
+ * xml.js
+ *
+ * A small XML writer and parser, enough for ZWO files. The writer escapes
+ * text and attribute values, so workout names and descriptions can contain
+ * any character; the parser reads the files back, to check them (see
+ * validateZwiftWorkout), without a DOM, so it also works under Node.
+ */
+
+/* global module */
+/* exported createXmlElement, createCdata, writeXml, parseXml */
+
+
+/**
+ * XML names, as a regular expression source. Only ASCII names are used in
+ * ZWO files.
+ * @type {string}
+ */
+const xmlNamePattern = '[A-Za-z_:][\\w.:-]*';
+
+
+/**
+ * Creates an XML element, for writeXml. Attributes are written in order;
+ * undefined attributes are left out.
+ * @param {string} name - The element name.
+ * @param {Object} [attributes={}] - The attributes.
+ * @param {Array} [children=[]] - The child elements, text (strings) and
+ *                                CDATA sections (see createCdata).
+ * @return {Object} - The element, with 'name', 'attributes' and 'children'
+ *                    attributes.
+ */
+function createXmlElement(name, attributes = {}, children = []) {
+  return {name, attributes, children};
+}
+
+
+/**
+ * Creates a CDATA section, for text that would be unreadable escaped.
+ * @param {string} text - The text.
+ * @return {Object} - The CDATA section, with a 'cdata' attribute.
+ */
+function createCdata(text) {
+  return {cdata: text};
+}
+
+
+/**
+ * Removes the characters that can't appear in an XML 1.0 document at all,
+ * escaped or not: most control characters, unpaired surrogates and the
+ * non-characters U+FFFE and U+FFFF.
+ * @param {string} text - The text.
+ * @return {string} - The text without those characters.
+ */
+function removeInvalidXmlCharacters(text) {
+  return Array.from(text).filter((character) => {
+    const code = character.codePointAt(0);
+    if (code < 0x20) {
+      return code === 0x09 || code === 0x0A || code === 0x0D;
+    }
+    // Array.from splits text into code points, so surrogates are unpaired.
+    return (code < 0xD800 || code > 0xDFFF) && code !== 0xFFFE &&
+        code !== 0xFFFF;
+  }).join('');
+}
+
+
+/**
+ * Escapes text for use in XML content or attribute values. Line breaks are
+ * escaped in attribute values only, as parsers would otherwise turn them
+ * into spaces.
+ * @param {*} value - The text, or a value to convert to text.
+ * @param {boolean} [attribute=false] - True for an attribute value.
+ * @return {string} - The escaped text.
+ */
+function escapeXml(value, attribute = false) {
+  const text = removeInvalidXmlCharacters(String(value))
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  if (!attribute) {
+    return text;
+  }
+  return text.replace(/"/g, '&quot;').replace(/\n/g, '&#10;')
+      .replace(/\r/g, '&#13;').replace(/\t/g, '&#9;');
+}
+
+
+/**
+ * Writes an XML element, with one element per line, indented with tabs.
+ * Elements with only text are written on one line, and empty elements are
+ * self-closing.
+ * @param {Object} element - The element (see createXmlElement).
+ * @param {number} [depth=0] - The indentation of the element.
+ * @return {string} - The XML, ending with a line break.
+ * @throws {Error} - If an element or attribute name isn't a valid XML name.
+ */
+function writeXml(element, depth = 0) {
+  const validName = new RegExp(`^${xmlNamePattern}$`);
+  const indent = '\t'.repeat(depth);
+  if (!validName.test(element.name)) {
+    throw new Error(`Invalid XML element name: ${element.name}`);
+  }
+  const attributes = Object.entries(element.attributes)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => {
+        if (!validName.test(name)) {
+          throw new Error(`Invalid XML attribute name: ${name}`);
+        }
+        return ` ${name}="${escapeXml(value, true)}"`;
+      }).join('');
+  const start = `${indent}<${element.name}${attributes}`;
+  const children = element.children;
+  if (children.length === 0) {
+    return `${start}/>\n`;
+  }
+  if (children.every((child) =>
+    typeof child === 'string' || 'cdata' in child)) {
+    const text = children.map((child) => typeof child === 'string' ?
+      escapeXml(child) :
+      // ']]>' would end the section early, so it is split in two.
+      `<![CDATA[${removeInvalidXmlCharacters(child.cdata)
+          .replace(/]]>/g, ']]]]><![CDATA[>')}]]>`).join('');
+    return `${start}>${text}</${element.name}>\n`;
+  }
+  return `${start}>\n` +
+      children.map((child) => writeXml(child, depth + 1)).join('') +
+      `${indent}</${element.name}>\n`;
+}
+
+
+/**
+ * Parses an XML document into elements like those of createXmlElement,
+ * with the text and CDATA sections of each element joined into strings.
+ * Text that is only whitespace, comments and processing instructions
+ * (including the XML declaration) are left out. Document type declarations
+ * aren't supported.
+ * @param {string} text - The XML document.
+ * @return {Object} - The root element.
+ * @throws {SyntaxError} - If the document isn't well-formed.
+ */
+function parseXml(text) {
+  const startTagPattern = new RegExp(`<(${xmlNamePattern})((?:\\s+` +
+      `${xmlNamePattern}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(/?)>`, 'y');
+  const attributePattern = new RegExp(
+      `(${xmlNamePattern})\\s*=\\s*(?:"([^"<]*)"|'([^'<]*)')`, 'g');
+  const endTagPattern = new RegExp(`</(${xmlNamePattern})\\s*>`, 'y');
+  const cdataPattern = /<!\[CDATA\[([\s\S]*?)\]\]>/y;
+  const commentPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>/y;
+  const miscPattern = /(?:\s+|<!--[\s\S]*?-->|<\?[\s\S]*?\?>)*/y;
+  const textPattern = /[^<]+/y;
+  const entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+  let position = 0;
+
+  /**
+   * Throws an error for the current position.
+   * @param {string} message - What is wrong.
+   * @throws {SyntaxError} - Always.
+   */
+  function fail(message) {
+    const line = text.slice(0, position).split('\n').length;
+    throw new SyntaxError(`${message} on line ${line}`);
+  }
+
+  /**
+   * Matches a pattern at the current position, and moves past the match.
+   * @param {RegExp} pattern - The pattern, with the 'y' flag.
+   * @return {Array|null} - The match, or null if there is none.
+   */
+  function match(pattern) {
+    pattern.lastIndex = position;
+    const result = pattern.exec(text);
+    if (result) {
+      position = pattern.lastIndex;
+    }
+    return result;
+  }
+
+  /**
+   * Replaces the character and entity references in text.
+   * @param {string} raw - The text, as written in the document.
+   * @return {string} - The text.
+   */
+  function decode(raw) {
+    return raw.replace(/&(?:#x([0-9A-Fa-f]+)|#(\d+)|(\w+));|&/g,
+        (reference, hex, decimal, name) => {
+          if (hex || decimal) {
+            return String.fromCodePoint(parseInt(hex ?? decimal,
+                hex ? 16 : 10));
+          }
+          if (!(name in entities)) {
+            fail(`Unknown entity reference '${reference}'`);
+          }
+          return entities[name];
+        });
+  }
+
+  /**
+   * Parses an element, and everything in it.
+   * @return {Object} - The element.
+   */
+  function parseElement() {
+    const start = match(startTagPattern);
+    if (!start) {
+      fail('Expected an element');
+    }
+    const [, name, rawAttributes, selfClosing] = start;
+    const element = createXmlElement(name);
+    for (const [, attribute, double, single] of
+      rawAttributes.matchAll(attributePattern)) {
+      if (attribute in element.attributes) {
+        fail(`Duplicate attribute '${attribute}' in <${name}>`);
+      }
+      element.attributes[attribute] = decode(double ?? single);
+    }
+    if (selfClosing) {
+      return element;
+    }
+    let content = '';
+    const addText = () => {
+      if (content.trim()) {
+        element.children.push(content);
+      }
+      content = '';
+    };
+    while (position < text.length) {
+      let result;
+      if ((result = match(textPattern))) {
+        content += decode(result[0]);
+      } else if ((result = match(cdataPattern))) {
+        content += result[1];
+      } else if ((result = match(endTagPattern))) {
+        if (result[1] !== name) {
+          fail(`Expected </${name}> but found </${result[1]}>`);
+        }
+        addText();
+        return element;
+      } else if (!match(commentPattern)) {
+        addText();
+        element.children.push(parseElement());
+      }
+    }
+    fail(`Unclosed element <${name}>`);
+  }
+
+  match(miscPattern);
+  const root = parseElement();
+  match(miscPattern);
+  if (position < text.length) {
+    fail('Unexpected content after the root element');
+  }
+  return root;
+}
+
+
+// Under Node, export this as a module (see convert.js).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    createXmlElement,
+    createCdata,
+    writeXml,
+    parseXml,
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * xp.js
+ *
+ * Estimates the Zwift XP earned by riding the converted intervals, and
+ * finds the conversion that earns the most XP without changing the power
+ * targets by more than a given amount.
+ */
+
+/* global module, require */
+/* exported estimateXp, optimizeForXp */
+
+
+/**
+ * Returns the XP earned per minute of a type of Zwift interval. Zwift
+ * awards workout XP for each completed block, in proportion to its length,
+ * but doesn't publish the rates, so they are options: 'xpPerMinute' for
+ * blocks with a constant target and 'rampXpPerMinute' for ramps (including
+ * warmups and cooldowns). Free rides earn XP for distance instead, like
+ * riding outside a workout, so they aren't counted.
+ * @param {string} type - The Zwift interval type.
+ * @param {Object} options - The options.
+ * @return {number} - The XP per minute.
+ */
+function getXpPerMinute(type, options) {
+  switch (type) {
+    case IntervalType.STEADY_STATE:
+    case IntervalType.OVER_UNDER:
+      return options.xpPerMinute;
+    case IntervalType.RAMP:
+    case IntervalType.WARMUP:
+    case IntervalType.COOLDOWN:
+      return options.rampXpPerMinute;
+    default:
+      return 0;
+  }
+}
+
+
+/**
+ * Estimates the Zwift XP for riding a list of Zwift intervals.
+ * @param {Array} intervals - The Zwift intervals.
+ * @param {Object} options - The options, for the XP rates (see
+ *                           getXpPerMinute).
+ * @return {Object} - An object with the 'total' XP and the XP 'byType', an
+ *                    object mapping interval types to XP.
+ */
+function estimateXp(intervals, options) {
+  const byType = {};
+  let total = 0;
+  for (const interval of intervals) {
+    // XP is only awarded for whole points, block by block.
+    const xp = Math.floor(getXpPerMinute(interval.type, options) *
+        getIntervalDuration(interval) / 60);
+    byType[interval.type] = (byType[interval.type] ?? 0) + xp;
+    total += xp;
+  }
+  return {total, byType};
+}
+
+
+/**
+ * Finds the Zwift intervals that earn the most XP, choosing the ramp and
+ * over-under conversion separately for each part of the workout, subject to
+ * a limit on how far the power targets may deviate from the original.
+ *
+ * Each combination of ramp conversion ('none' or 'all') and over-under
+ * conversion ('none', 'strict', 'loose' or 'custom', with the 'ouTolerance'
+ * option) is tried on the whole workout. The workout is then split
+ * wherever every combination has an interval boundary, and for each part,
+ * the intervals of the combination with the most XP within the deviation
+ * limit are used. Where no combination is within the limit, e.g. because
+ * even without conversion, ramps become steps, the one closest to the
+ * original is used.
+ * @param {Array} data - The TrainerRoad workout data, with 'Seconds'
+ *                       (milliseconds) and 'FtpPercent' attributes.
+ * @param {Object} options - The options. The 'xpMaxDeviation' option is
+ *                           the limit, in percent of FTP; the
+ *                           'rampConversion' and 'ouConversion' options
+ *                           are ignored.
+ * @return {Array} - The Zwift intervals.
+ */
+function optimizeForXp(data, options) {
+  const candidates = [];
+  for (const rampConversion of ['none', 'all']) {
+    for (const ouConversion of ['none', 'strict', 'loose', 'custom']) {
+      candidates.push(getZwiftIntervals(data,
+          {...options, rampConversion, ouConversion, xpMode: 'off'}));
+    }
+  }
+
+  /**
+   * Returns the times at which the intervals start, and the end time.
+   * @param {Array} intervals - The Zwift intervals.
+   * @return {Array<number>} - The times in seconds.
+   */
+  function getBoundaries(intervals) {
+    const boundaries = [0];
+    for (const interval of intervals) {
+      boundaries.push(boundaries.at(-1) + getIntervalDuration(interval));
+    }
+    return boundaries;
+  }
+
+  const boundarySets = candidates.map((intervals) =>
+    new Set(getBoundaries(intervals)));
+  const regionEnds = getBoundaries(candidates[0]).filter((time) =>
+    time > 0 && boundarySets.every((boundaries) => boundaries.has(time)));
+
+  const scaledData = scaleWorkoutData(data, options.intensity);
+  const original = getPowerSeries(scaledData.map((dataPoint) =>
+    ({seconds: dataPoint.Seconds / 1000, power: dataPoint.FtpPercent})));
+
+  // For each candidate, group its intervals by region, and work out the XP
+  // and the largest deviation from the original in each region.
+  const regions = regionEnds.map(() => []);
+  for (const intervals of candidates) {
+    const converted = getPowerSeries(getPowerPoints(intervals));
+    let start = 0;
+    let region = 0;
+    let choice = {intervals: [], maxDeviation: 0};
+    for (const interval of intervals) {
+      const duration = getIntervalDuration(interval);
+      for (let second = start; second < start + duration; second++) {
+        choice.maxDeviation = Math.max(choice.maxDeviation,
+            Math.abs((original[second] ?? 0) - (converted[second] ?? 0)));
+      }
+      choice.intervals.push(interval);
+      start += duration;
+      if (start === regionEnds[region]) {
+        choice.xp = estimateXp(choice.intervals, options).total;
+        regions[region].push(choice);
+        region++;
+        choice = {intervals: [], maxDeviation: 0};
+      }
+    }
+  }
+
+  // Among the choices within the limit, prefer the most XP, then the
+  // smallest deviation, then the fewest intervals, e.g. one over-under rather
+  // than the same steady states.
+  return regions.flatMap((choices) => {
+    let best = null;
+    for (const choice of choices) {
+      if (choice.maxDeviation > options.xpMaxDeviation) {
+        continue;
+      }
+      if (best === null || (choice.xp !== best.xp ? choice.xp > best.xp :
+          choice.maxDeviation !== best.maxDeviation ?
+          choice.maxDeviation < best.maxDeviation :
+          choice.intervals.length < best.intervals.length)) {
+        best = choice;
+      }
+    }
+    if (best === null) {
+      // Nothing is within the limit, so fall back to the closest.
+      best = choices.reduce((closest, choice) =>
+        choice.maxDeviation < closest.maxDeviation ? choice : closest);
+    }
+    return best.intervals;
+  });
+}
+
+
+// Under Node, export this as a module (see convert.js).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    estimateXp,
+    optimizeForXp,
+  };
+  /* eslint-disable no-var */
+  var {IntervalType, getZwiftIntervals, getIntervalDuration, getPowerPoints,
+    scaleWorkoutData} = require('./convert.js');
+  var {getPowerSeries} = require('./report.js');
+  /* eslint-enable no-var */
+}
@@ -0,0 +1,143 @@
+/**
+ * zip.js
+ *
+ * A minimal ZIP archive writer. Files are stored without compression, which
+ * keeps the writer small; workout files are small anyway. See PKWARE's
+ * APPNOTE.TXT for the format.
+ */
+
+/* global module */
+/* exported createZip */
+
+
+/**
+ * Computes the CRC-32 of a sequence of bytes, as used by ZIP archives.
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @return {number} - The CRC, as an unsigned 32-bit integer.
+ */
+function zipCrc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+
+/**
+ * Creates a ZIP archive.
+ * @param {Array<Object>} files - The files to archive, each an object with
+ *                                'filename' and 'content' (a string or a
+ *                                Uint8Array) attributes. File names should
+ *                                be unique.
+ * @param {Date} [date=new Date()] - The modification time of the files.
+ * @return {Uint8Array} - The ZIP archive.
+ */
+function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // MS-DOS date and time, with two-second resolution.
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) | date.getDate();
+
+  /**
+   * Creates a record with little-endian fields.
+   * @param {Array<Array<number>>} fields - Pairs of value and size in bytes.
+   * @return {Uint8Array} - The record.
+   */
+  function createRecord(fields) {
+    const size = fields.reduce((total, [, fieldSize]) => total + fieldSize, 0);
+    const view = new DataView(new ArrayBuffer(size));
+    let position = 0;
+    for (const [value, fieldSize] of fields) {
+      if (fieldSize === 2) {
+        view.setUint16(position, value, true);
+      } else {
+        view.setUint32(position, value, true);
+      }
+      position += fieldSize;
+    }
+    return new Uint8Array(view.buffer);
+  }
+
+  for (const file of files) {
+    const name = encoder.encode(file.filename);
+    const data = typeof file.content === 'string' ?
+      encoder.encode(file.content) : file.content;
+    const crc = zipCrc32(data);
+    const flags = 0x0800; // File names are UTF-8
+    const localHeader = createRecord([
+      [0x04034B50, 4], // Local file header signature
+      [20, 2], // Version needed to extract (2.0)
+      [flags, 2],
+      [0, 2], // Compression method (stored)
+      [dosTime, 2],
+      [dosDate, 2],
+      [crc, 4],
+      [data.length, 4], // Compressed size
+      [data.length, 4], // Uncompressed size
+      [name.length, 2],
+      [0, 2], // Extra field length
+    ]);
+    const centralHeader = createRecord([
+      [0x02014B50, 4], // Central directory header signature
+      [20, 2], // Version made by
+      [20, 2], // Version needed to extract
+      [flags, 2],
+      [0, 2], // Compression method
+      [dosTime, 2],
+      [dosDate, 2],
+      [crc, 4],
+      [data.length, 4],
+      [data.length, 4],
+      [name.length, 2],
+      [0, 2], // Extra field length
+      [0, 2], // File comment length
+      [0, 2], // Disk number start
+      [0, 2], // Internal file attributes
+      [0, 4], // External file attributes
+      [offset, 4], // Offset of local header
+    ]);
+    localParts.push(localHeader, name, data);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + data.length;
+  }
+
+  const centralSize =
+      centralParts.reduce((total, part) => total + part.length, 0);
+  const end = createRecord([
+    [0x06054B50, 4], // End of central directory signature
+    [0, 2], // Number of this disk
+    [0, 2], // Disk with the start of the central directory
+    [files.length, 2], // Entries on this disk
+    [files.length, 2], // Total entries
+    [centralSize, 4],
+    [offset, 4], // Offset of the central directory
+    [0, 2], // Comment length
+  ]);
+
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+
+// Under Node, export this as a module, for the tests.
+if (typeof module !== 'undefined') {
+  module.exports = {
+    createZip,
+  };
+}
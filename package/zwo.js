@@ -6,488 +6,218 @@
  * a .zwo file corresponding to the current TrainerRoad workout.
  */
 
+/* global FileFormat, fileFormatLabels, getOptionProfiles,
+          getProfileOptions, validateWorkout,
+          getWorkoutName, generateWorkoutFile, previewZWO, showErrorNotice,
+          copyDiagnosticBundle, recordExport, showUploadDialog,
+          generateTextWorkout, downloadWorkoutFamily,
+          downloadContentAsFile, getWorkoutIdFromUrl, fetchWorkoutDetails,
+          getWorkoutOptions, getEditedWorkout */
+/* exported getLinkedWorkoutId, exportWorkout */
+
 
 /**
- * Enum representing the types of intervals in a ZWO file.
- * @enum {string}
- * @readonly
+ * Checks whether the current page is a TrainerRoad workout page, as opposed
+ * to e.g. the workout library.
+ * @return {boolean} - True if the page is a workout page.
  */
-const IntervalType = Object.freeze({
-  STEADY_STATE: 'SteadyState', // Constant power target for the duration
-  RAMP: 'Ramp', // Linearly increasing/decreasing power target over the duration
-  OVER_UNDER: 'IntervalsT', // Alternating constant power targets
-});
+function isWorkoutPage() {
+  return /^\/app\/cycling\/workouts\/(?:.*\/)?\d+[^/]*$/
+      .test(document.location.pathname);
+}
 
 
 /**
- * Determines the Zwift intervals from the provided workout data based on the
- * given options. The workout data is expected to be an array of objects with
- * 'Seconds' [sic] and 'FtpPercent' attributes, indicating the power target
- * beginning at the given time.
- * @param {Array} data - The workout data to analyze.
- * @param {Object} options - The options for analyzing the intervals.
- * @return {Array} - The array of Zwift intervals.
+ * Extracts the TrainerRoad workout ID from the URL of the current page.
+ * @return {string} - The workout ID.
  */
-function getZwiftIntervals(data, options) {
-  /**
-   * Checks if the provided workout data follows the expected
-   * conventions.
-   * @param {Array} data - The workout data to validate.
-   * @return {boolean} - True if the workout data is valid, false otherwise.
-   */
-  function validWorkoutData(data) {
-    if (!Array.isArray(data)) {
-      console.log('WorkoutData is not an array');
-      return false;
-    }
-    if (data.length < 2) {
-      console.log('WorkoutData has less than 2 data points');
-      return false;
-    }
-    if (data.some((dataPoint, index) =>
-      typeof dataPoint?.Seconds !== 'number' || dataPoint.Seconds < 0 ||
-      typeof dataPoint?.FtpPercent !== 'number' || dataPoint.FtpPercent < 0 ||
-      dataPoint.Seconds % 1000 !== 0 ||
-      (index > 0 && (data[index].Seconds <= data[index - 1].Seconds)))) {
-      console.log('WorkoutData contains invalid data points');
-      return false;
-    }
-    return true;
-  }
-
-
-  /**
-   * Finds the simple (steady state and ramp) intervals in a dataset based on
-   * changes in slope.
-   * @param {Array} data - The dataset containing 'Seconds' and 'FtpPercent'
-   *                       attributes.
-   * @param {Object} options - Additional options for calculating intervals.
-   * @return {Array} - An array of intervals
-   */
-  function getSimpleIntervals(data, options) {
-    /**
-     * Determines if there is a slope change at the given point.
-     * @param {number} index - The index to check for slope change.
-     * @return {boolean} - True if there is a slope change, false otherwise.
-     */
-    function slopeChange(index) {
-      const epsilon = 1e-3;
-      return Math.abs(data[index].slope - data[index - 1].slope) >= epsilon;
-    }
-
-    /**
-     * Determines if ramp conversion should be performed, depending on index
-     * and options.
-     * @param {number} index - The index value.
-     * @return {boolean} - True if ramp conversion should be performed,
-     *                     false otherwise.
-     */
-    function doRampConversion(index) {
-      return options.rampConversion === 'all' ||
-          (options.rampConversion === 'internal' &&
-           (index > 0 && index < data.length - 1));
-    }
-
-    // Generate a new dataset with the seconds attribute corrected and
-    // an additional slope attribute, indicating the slope from that datapoint
-    // to the next.
-    data = data.map((dataPoint, index) => {
-      const seconds = dataPoint.Seconds / 1000; // Convert from milliSeconds
-      const ftpPercent = dataPoint.FtpPercent;
-      if (index === data.length - 1) {
-        return {seconds, ftpPercent};
-      } else {
-        const deltaPower = data[index + 1].FtpPercent - data[index].FtpPercent;
-        const deltaTime = data[index + 1].Seconds - data[index].Seconds;
-        const slope = deltaPower / (deltaTime / 1000); // %FTP/sec
-        return {seconds, ftpPercent, slope};
-      }
-    });
-
-    /*
-     * Identify workout intervals by detecting changes in the gradient
-     * (slope) of FtpPercent over time.  An interval is considered to
-     * end at index i (and a new one starts at the same index) if
-     * there's a slope change at index i but not at index i + 1. This
-     * method is based on the observation that discontinuities in
-     * FtpPercent values are not present in the dataset. Instead, only
-     * the FtpPercent value immediately after a discontinuity is
-     * recorded, leading to an apparent early change in slope.
-     *
-     * For instance, consider a scenario with a steady state interval
-     * at 80% FTP followed by another at 100% FTP:
-     *
-     * Time (ms) | FTP %
-     * ----------------------
-     * 57000     | 80
-     * 58000     | 80
-     * 59000     | 80
-     * 60000     | 100
-     * 61000     | 100
-     *
-     * Here, the transition between 59000ms (80% ftp) to 60000ms (100%
-     * ftp) involves a slope change. Ideally, there should be an
-     * additional data point at 60000ms with 80% ftp to indicate a
-     * sharp change (discontinuity). With the missing point, it would
-     * be clear that there is no slope change at 59000ms. There is no
-     * slope change at all, but the discontinuity at 60000ms does
-     * still indicate the boundary between two intervals.
-     *
-     * With that out of the way, a simple change of slope at the same
-     * target power also marks the boundary between two intervals,
-     * based on the observation that an interval has only a starting
-     * power target and an ending power target, and must therefore
-     * have a consistent slope throughout.
-     */
-    const intervals = [];
-    for (let index = 1, start = 0; index < data.length; index++) {
-      if (index == data.length - 1 ||
-          (slopeChange(index) && !slopeChange(index + 1))) {
-        const duration = data[index].seconds - data[start].seconds;
-        let startPower = data[start].ftpPercent;
-        // Ending power target must be inferred from the slope.
-        let endPower = Math.round(startPower + duration * data[start].slope);
-        if (doRampConversion(index)) {
-          startPower = endPower = (startPower + endPower) / 2;
-        }
-        // Steady state intervals have a constant target power.
-        // Ramp intervals do not.
-        const type = startPower === endPower ? IntervalType.STEADY_STATE :
-                                               IntervalType.RAMP;
-        intervals.push({type, duration, startPower, endPower});
-        start = index;
-      }
-    }
-    return intervals;
-  }
-
-
-  /**
-   * Processes the over-under intervals in the given intervals array based on
-   * the provided options.
-   * @param {Array} intervals - The array of intervals to process.
-   * @param {Object} options - The options for processing the intervals.
-   * @return {Array} - The processed intervals array.
-   */
-  function processOverUnders(intervals, options) {
-    /**
-     * Creates an over-under interval object.
-     * @param {number} start - The index of the starting simple interval.
-     * @param {number} end - The index of the ending simple interval.
-     * @return {Object} - The over-under interval object.
-     */
-    function createOverUnder(start, end) {
-      let onPowerSum = 0;
-      let offPowerSum = 0;
-      const repeat = ((end - start + 1) / 2) | 0;
-      for (let index = start; index < end; index += 2) {
-        onPowerSum += intervals[index].startPower;
-        offPowerSum += intervals[index + 1].startPower;
-      }
-      return {
-        type: IntervalType.OVER_UNDER,
-        repeat: repeat,
-        onDuration: intervals[start].duration,
-        offDuration: intervals[start + 1].duration,
-        onPower: onPowerSum / repeat,
-        offPower: offPowerSum / repeat,
-      };
-    }
-
-    /**
-     * Replaces a sequence of intervals with an over-under interval.
-     * @param {number} start - The index of the first interval in the sequence.
-     * @param {number} end - The index of the last interval in the sequence.
-     * @return {number} - The index of the over-under interval.
-     */
-    function replaceOverUnderSequence(start, end) {
-      let length = end - start + 1;
-      // For odd-length sequences, remove the first or last interval
-      // before creating the over-under. First, try to avoid splitting
-      // an interval. If that's not possible, split the longer interval.
-      if (length % 2 !== 0) {
-        if (intervals[start].duration === intervals[start + 2].duration) {
-          end--;
-        } else if (intervals[end].duration === intervals[end - 2].duration) {
-          start++;
-        } else if (intervals[start].duration - intervals[start + 2].duration >=
-                   intervals[end].duration - intervals[end - 2].duration) {
-          end--;
-        } else {
-          start++;
-        }
-        length--;
-      }
-      // Split the first interval if it's longer than the other "on" intervals
-      if (intervals[start].duration !== intervals[start + 2].duration) {
-        intervals.splice(start + 1, 0, intervals[start + 2]);
-        intervals[start].duration -= intervals[start + 1].duration;
-        start++; end++;
-      }
-      // Split the last interval if it's longer than the other "off" intervals
-      if (intervals[end].duration !== intervals[end - 2].duration) {
-        intervals.splice(end, 0, intervals[end - 2]);
-        intervals[end + 1].duration -= intervals[end].duration;
-      }
-      const ouInterval = createOverUnder(start, end);
-      intervals.splice(start, length, ouInterval);
-      return start;
-    }
+function getWorkoutId() {
+  return document.location.href.match(/\/(\d*)[^/]*$/)[1];
+}
 
-    /**
-     * Determines if two steady-state intervals have power targets that are
-     * "close enough."
-     * @param {number} a - The first index.
-     * @param {number} b - The second index.
-     * @return {boolean} - True if the intervals are close enough,
-     *                     false otherwise.
-     */
-    function closeMatch(a, b) {
-      const epsilon = options.ouConversion === 'loose' ? 3 : 0;
-      return Math.abs(intervals[a].startPower -
-                      intervals[b].startPower) <= epsilon;
-    }
 
-    /**
-     * Locates and converts over-under sequences in the intervals array.
-     * Start is the index of the first interval in the current candidate
-     * sequence. End is the index of the last interval in the current
-     * candidate sequence, inclusive.
-     */
-    function convertOverUnderSequences() {
-      const minDuration = 10; // Minimum duration for an interval
-      for (let index = 0, start = undefined;
-        index <= intervals.length; index++) {
-        let end = index - 1;
-        if (intervals[index]?.type === IntervalType.STEADY_STATE) {
-          if (start === undefined) {
-            // Start a new sequence
-            start = index;
-            continue;
-          }
-          if (start === index - 1) {
-            // No constraints on the second interval, other than STEADY_STATE.
-            // Keep the sequence going.
-            continue;
-          }
-          if (closeMatch(index, index - 2)) {
-            if ((intervals[index].duration === intervals[index - 2].duration)) {
-              // Current interval perfectly matches the antepenultimate
-              // interval. Keep the sequence going.
-              continue;
-            }
-            if (start === index - 2 && intervals[index - 2].duration >=
-                intervals[index].duration + minDuration) {
-              /*
-               * The first interval doesn't match the third, but it can be split
-               * into two consecutive intervals, where the latter matches
-               * the third. Keep the sequence going.
-               */
-              continue;
-            }
-            if (intervals[index].duration >=
-                intervals[index - 2].duration + minDuration) {
-              /*
-               * The current interval doesn't match the antepenultimate
-               * interval, but it can be split into two consecutive intervals,
-               * where the former matches the antepenultime. End the sequence.
-               */
-              end = index;
-            }
-          }
-        }
-        if (start !== undefined) {
-          if (end - start + 1 >= 4) {
-            index = replaceOverUnderSequence(start, end);
-          } else {
-            index = start;
-          }
-          start = undefined;
-        }
-      }
-    }
+/**
+ * Extracts the TrainerRoad workout ID from a link to a workout page.
+ * @param {HTMLAnchorElement} link - The link.
+ * @return {string|null} - The workout ID, or null if the link isn't to a
+ *                         workout page.
+ */
+function getLinkedWorkoutId(link) {
+  return getWorkoutIdFromUrl(link.href);
+}
 
-    if (options.ouConversion !== 'none') {
-      convertOverUnderSequences();
-    }
-    return intervals;
-  }
 
-  if (!validWorkoutData(data)) {
-    return [];
-  }
-  const simpleIntervals = getSimpleIntervals(data, options);
-  return processOverUnders(simpleIntervals, options);
+/**
+ * Retrieves the options of a profile (see profiles.js) from storage, or
+ * the default options.
+ * @param {string} [profileName] - The name of the profile. Defaults to the
+ *                                 active profile.
+ * @return {Promise<Object>} The options object.
+ */
+async function getOptions(profileName) {
+  return getProfileOptions(profileName);
 }
 
 
 /**
- * Generates a Zwift workout file based on the provided workout and options.
- * @param {Object} workout - The workout object containing details
- *                           and intervals.
- * @param {Object} options - The options object for generating the workout.
- * @return {Object} - An object containing the filename and content of the
- *                    generated Zwift workout file.
+ * Shows a notice on the page. Notices stack up in the corner of the page;
+ * information disappears after a few seconds, warnings after a little
+ * longer, and errors stay until they are dismissed.
+ * @param {string} message - The message to show.
+ * @param {Object} [details] - Optional 'level' ('info', 'warning' or
+ *                             'error'), 'details' (an array of strings to
+ *                             list under the message) and 'actions' (an
+ *                             array of objects with 'label' and 'action'
+ *                             attributes, for buttons) attributes.
+ * @return {HTMLElement} - The notice.
  */
-function generateZwiftWorkout(workout, options) {
-  /**
-   * Converts HTML to plain text by removing HTML tags and fixing up
-   * whitespace.
-   * @param {string} html - The HTML string to be converted.
-   * @return {string} - The converted plain text.
-   */
-  function htmlToText(html) {
-    if (!html || typeof html !== 'string') {
-      return '';
+function showNotice(message,
+    {level = 'info', details = [], actions = []} = {}) {
+  let container = document.getElementById('ZWO-notices');
+  const notice = document.createElement('div');
+  const text = document.createElement('p');
+
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'ZWO-notices';
+    document.body.appendChild(container);
+  }
+  notice.className = `ZWO-notice ZWO-notice-${level}`;
+  notice.setAttribute('role', level === 'error' ? 'alert' : 'status');
+  text.textContent = message;
+  notice.appendChild(text);
+  if (details.length > 0) {
+    const list = document.createElement('ul');
+    for (const detail of details) {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      list.appendChild(item);
     }
-    const doc = new DOMParser().parseFromString(html, 'text/html');
-    let text = doc.body.textContent;
-    text = text.replace(/([\.?!])([A-Z])/g, '$1 $2');
-    text = text.replace(/\s+/g, ' ');
-    return text;
+    notice.appendChild(list);
   }
-
-  /**
-   * Converts a zone object to a tag XML string.
-   * @param {Object} zone - The zone object to convert.
-   * @return {string} - The tag XML string.
-   */
-  function zoneToTag(zone) {
-    if (!zone?.Description) {
-      console.log('Zone has no description');
-      return '';
+  if (level !== 'info') {
+    actions = [...actions, {label: 'Dismiss', action: () => {}}];
+  }
+  if (actions.length > 0) {
+    const buttons = document.createElement('div');
+    for (const {label, action} of actions) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        notice.remove();
+        action();
+      });
+      buttons.appendChild(button);
     }
-    return `\t\t<tag name="${zone.Description}"/>`;
+    notice.appendChild(buttons);
+  }
+  container.appendChild(notice);
+  if (level !== 'error') {
+    setTimeout(() => notice.remove(), level === 'warning' ? 10000 : 3000);
   }
+  return notice;
+}
 
-  /**
-   * Converts an interval object to an XML string representation.
-   * @param {Interval} i - The interval object to convert.
-   * @return {string} The string representation of the interval.
-   */
-  function intervalToString(i) {
-  /**
-   * Converts a percentage to a normalized value.
-   * @param {number} percentage - The percentage to be converted.
-   * @return {string} - The normalized value as a string with two
-   *                    decimal places.
-   */
-    function normalize(percentage) {
-      return (percentage / 100).toFixed(2);
-    }
 
-    switch (i.type) {
-      case IntervalType.STEADY_STATE:
-        return `\t\t<${i.type} Duration="${i.duration}" ` +
-             `Power="${normalize(i.startPower)}"/>`;
-      case IntervalType.RAMP:
-        return `\t\t<${i.type} Duration="${i.duration}" ` +
-             `PowerLow="${normalize(i.startPower)}" ` +
-             `PowerHigh="${normalize(i.endPower)}"/>`;
-      case IntervalType.OVER_UNDER:
-        return `\t\t<${i.type} Repeat="${i.repeat}" ` +
-             `OnDuration="${i.onDuration}" OffDuration="${i.offDuration}" ` +
-             `OnPower="${normalize(i.onPower)}" ` +
-             `OffPower="${normalize(i.offPower)}"/>`;
-      default:
-        console.log(`Unknown Zwift interval type: ${i.type}`);
-        break;
-    }
-  }
+/**
+ * The notice that ZWO files couldn't be saved to the Zwift workouts folder,
+ * while it is shown, so that downloading several workouts shows it once.
+ * @type {HTMLElement|undefined}
+ */
+let workoutsFolderNotice;
 
-  const details = workout?.Details;
-  const name = details?.WorkoutName?.trimEnd() || 'Unnamed Workout';
-  const workoutDescription = `${htmlToText(details?.WorkoutDescription)}\n`;
-  const goalDescription = `${htmlToText(details?.GoalDescription)}\n`;
-  const tags = details?.Zones?.map(zoneToTag).join('\n');
-  const intervals = getZwiftIntervals(workout?.WorkoutData, options);
-  const segments = intervals.map(intervalToString).join('\n');
-
-  const content = `<workout_file>\n` +
-    `\t<author>TrainerRoad</author>\n` +
-    `\t<name>${name}</name>\n` +
-    `\t<description>` +
-    `<![CDATA[${workoutDescription}\n${goalDescription}]]>` +
-    `</description>\n` +
-    `\t<sportType>bike</sportType>\n` +
-    `\t<tags>\n` +
-    `${tags}\n` +
-    `\t</tags>\n` +
-    `\t<workout>\n` +
-    `${segments}\n` +
-    `\t</workout>\n` +
-    `</workout_file>\n`;
-
-  return {
-    filename: `${name}.zwo`,
-    content: content,
-  };
-}
 
 /**
- * Downloads the ZWO file for the current workout.
- * @return {Promise<void>} A promise that resolves when the ZWO file
- *                         is downloaded successfully.
+ * Saves a ZWO file straight into the Zwift workouts folder, if one was
+ * chosen on the options page and access to it is still granted. Other
+ * formats, and ZWO files that can't be saved there, are downloaded; if the
+ * folder was chosen, a notice says why, and to fix it on the options page.
+ * @param {Object} workoutFile - An object containing the filename and
+ *                               content of the workout file.
+ * @param {Object} options - The options, for the existing file policy.
+ * @return {Promise<void>} A promise that resolves when the file is saved
+ *                         or downloaded.
  */
-async function downloadZWO() {
-  /**
-   * Fetches workout details from the TrainerRoad workout API.
-   * @param {string} workoutId - The ID of the workout.
-   * @return {Promise<Object>} - A promise that resolves to the workout details.
-   * @throws {Error} - If there is an error fetching the workout details.
-   */
-  async function fetchWorkoutDetails(workoutId) {
-    const url = `https://www.trainerroad.com/api/workoutdetails/${workoutId}`;
-    const response = await fetch(url, {credentials: 'include'});
-    if (!response.ok) {
-      throw new Error(`Error fetching ${url}; status: ${response.status}`);
+async function saveWorkoutFile(workoutFile, options) {
+  let response;
+  if (workoutFile.filename.endsWith(`.${FileFormat.ZWO}`)) {
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'saveWorkoutFile',
+        filename: workoutFile.filename,
+        content: workoutFile.content,
+        existingFile: options.existingFile,
+      });
+    } catch (error) {
+      console.error('Error saving to the Zwift workouts folder: ', error);
     }
-    return await response.json();
   }
-
-  /**
-   * Downloads a string as a file.
-   * @param {string} content - The content string to be downloaded.
-   * @param {string} filename - The name of the file to be downloaded.
-   */
-  function downloadStringAsFile(content, filename) {
-    const blob = new Blob([content], {type: 'text/plain'});
-    const url = URL.createObjectURL(blob);
-    const downloadLink = document.createElement('a');
-
-    downloadLink.href = url;
-    downloadLink.download = filename;
-    document.body.appendChild(downloadLink);
-
-    downloadLink.click();
-
-    document.body.removeChild(downloadLink);
-    URL.revokeObjectURL(url);
+  if (response?.status === 'saved') {
+    showNotice(`Saved ${response.filename} to the Zwift workouts folder.`);
+    return;
+  }
+  downloadContentAsFile(workoutFile.content, workoutFile.filename);
+  if ((response?.status === 'noAccess' || response?.status === 'failed') &&
+      !workoutsFolderNotice?.isConnected) {
+    const problem = response.status === 'noAccess' ?
+      'Chrome no longer allows access to the Zwift workouts folder, as ' +
+        'it forgets the access when it restarts' :
+      `The Zwift workouts folder couldn't be written to (${response.reason})`;
+    workoutsFolderNotice = showNotice(`${problem}, so ` +
+        `${workoutFile.filename} was downloaded instead. Only the options ` +
+        'page can ask for access again: use \'Grant Access\' there, or ' +
+        'choose the folder again.', {
+      level: 'warning',
+      actions: [{
+        label: 'Open options',
+        action: () => chrome.runtime.sendMessage({type: 'openOptionsPage'}),
+      }],
+    });
   }
+}
 
 
-  /**
-   * Retrieves the options from storage or returns default options.
-   * @return {Promise<Object>} The options object.
-   */
-  async function getOptions() {
-    const defaultOptions = {
-      rampConversion: 'none',
-      ouConversion: 'strict',
-    };
-    const storedOptions = await chrome.storage.sync.get('options');
-    const options = storedOptions.options || defaultOptions;
-    const rampConversionValues = ['none', 'internal', 'all'];
-    const ouConversionValues = ['strict', 'loose', 'none'];
-    options.rampConversion = rampConversionValues.
-        includes(options?.rampConversion) ?
-          options.rampConversion : defaultOptions.rampConversion;
-    options.ouConversion = ouConversionValues.
-        includes(options?.ouConversion) ?
-          options.ouConversion : defaultOptions.ouConversion;
-    return options;
+/**
+ * Fetches a workout, converts it, saves the workout file (see
+ * saveWorkoutFile) and adds it to the export history.
+ * @param {string} workoutId - The ID of the workout.
+ * @param {Object} options - The options for the conversion. Any options
+ *                           saved for the workout are applied on top, and
+ *                           any intervals edited for it are used.
+ * @param {string} [format] - The file format (see FileFormat). Defaults to
+ *                            the format selected in the options.
+ * @return {Promise<void>} A promise that resolves when the workout file
+ *                         is saved.
+ */
+async function exportWorkout(workoutId, options, format) {
+  options = await getWorkoutOptions(workoutId, options);
+  const workoutDetails = await fetchWorkoutDetails(workoutId);
+  const workout =
+      await getEditedWorkout(workoutId, workoutDetails?.Workout);
+  const {errors, warnings} = validateWorkout(workout);
+  if (errors.length === 0 && warnings.length > 0) {
+    showNotice(`Parts of ${getWorkoutName(workout)} may be missing.`,
+        {level: 'warning', details: warnings});
   }
+  const date = new Date();
+  format = format ?? options.format;
+  const workoutFile = generateWorkoutFile(workout, options, format, date);
+  await saveWorkoutFile(workoutFile, options);
+  await recordExport(workoutId, workout, options, format, workoutFile, date);
+}
 
+
+/**
+ * Downloads the ZWO file (or another supported workout file) for the
+ * current workout.
+ * @param {string} [format] - The file format (see FileFormat). Defaults to
+ *                            the format selected in the options.
+ * @param {string} [profileName] - The name of the option profile. Defaults
+ *                                 to the active profile.
+ * @return {Promise<void>} A promise that resolves when the workout file
+ *                         is downloaded successfully.
+ */
+async function downloadZWO(format, profileName) {
   /**
    * User feedback for ZWO button processing.
    */
@@ -512,38 +242,269 @@ async function downloadZWO() {
 
   beginProcessing();
   try {
-    const options = await getOptions();
-    const workoutIdMatch = document.location.href.match(/\/(\d*)[^/]*$/);
-    const workoutDetails = await fetchWorkoutDetails(workoutIdMatch[1]);
-    const workout = workoutDetails?.Workout;
-    const zwiftWorkout = generateZwiftWorkout(workout, options);
-    downloadStringAsFile(zwiftWorkout.content, zwiftWorkout.filename);
+    const options = await getOptions(profileName);
+    await exportWorkout(getWorkoutId(), options, format);
   } catch (error) {
-    console.log('ZWO export failure: ', error);
+    showErrorNotice(error);
   }
   endProcessing();
 }
 
 /**
- * Adds a 'ZWO' button next to the 'Open in App' button, if it
- * exists. The 'Open in App' button is impossible to identify
- * directly, because its text is affected by i18n. However, we can
- * look for the 'Add to Calendar' button, which has a common
- * great-grandparent, and is unaffected by i18n.
- * @return {boolean} Returns true if the openInAppButton is found,
- *                   otherwise false.
+ * Copies the current workout to the clipboard in the text syntax (see
+ * text.js), for pasting into coaching tools, or downloads it as a text file
+ * if the clipboard isn't available.
+ * @return {Promise<void>} A promise that resolves when the workout is
+ *                         copied, or copying has failed.
  */
-function modifyButtons() {
+async function copyTextWorkout() {
+  try {
+    const workoutId = getWorkoutId();
+    const options = await getWorkoutOptions(workoutId, await getOptions());
+    const workoutDetails = await fetchWorkoutDetails(workoutId);
+    const workout =
+        await getEditedWorkout(workoutId, workoutDetails?.Workout);
+    const {filename, content} = generateTextWorkout(workout, options);
+    try {
+      await navigator.clipboard.writeText(content);
+      showNotice(`${getWorkoutName(workout, options)} copied as text.`);
+    } catch (clipboardError) {
+      downloadContentAsFile(content, filename);
+    }
+  } catch (error) {
+    showErrorNotice(error);
+  }
+}
+
+/**
+ * Downloads a workout on request from the service worker (see
+ * background.js), for the context menu item on workout links and the
+ * keyboard shortcut. Unlike downloadZWO, it doesn't need the 'ZWO' button,
+ * so it works before the page has finished loading.
+ * @param {string} [url] - The URL of the workout page. Defaults to the
+ *                         current page, if it is a workout page.
+ * @return {Promise<void>} A promise that resolves when the workout file
+ *                         is downloaded, or the download has failed.
+ */
+async function downloadRequestedWorkout(url) {
+  const workoutId = url ? getWorkoutIdFromUrl(url) :
+                          isWorkoutPage() ? getWorkoutId() : null;
+  if (!workoutId) {
+    showNotice('This page isn\'t a TrainerRoad workout.', {level: 'warning'});
+    return;
+  }
+  showNotice(`Downloading workout ${workoutId}…`);
+  try {
+    const options = await getOptions();
+    await exportWorkout(workoutId, options);
+  } catch (error) {
+    showErrorNotice(error);
+  }
+}
+
+/**
+ * Labels of the 'Add to Calendar' button (formerly 'Schedule') in the
+ * languages of the TrainerRoad website, in lower case.
+ * @type {Array<string>}
+ */
+const scheduleButtonLabels = Object.freeze([
+  'add to calendar',
+  'schedule',
+  'añadir al calendario',
+  'agregar al calendario',
+  'ajouter au calendrier',
+  'zum kalender hinzufügen',
+  'aggiungi al calendario',
+  'adicionar ao calendário',
+  'toevoegen aan kalender',
+]);
+
+
+/**
+ * Labels of the 'Open in App' button in the languages of the TrainerRoad
+ * website, in lower case.
+ * @type {Array<string>}
+ */
+const openInAppButtonLabels = Object.freeze([
+  'open in app',
+  'abrir en la app',
+  'abrir en la aplicación',
+  'ouvrir dans l\'app',
+  'ouvrir dans l\'application',
+  'in app öffnen',
+  'in der app öffnen',
+  'apri nell\'app',
+  'abrir no app',
+  'abrir no aplicativo',
+  'openen in app',
+]);
+
+
+/**
+ * How long to wait for the 'Open in App' button before showing a floating
+ * 'ZWO' button instead, in milliseconds.
+ * @type {number}
+ */
+const floatingButtonDelay = 10000;
+
+
+/**
+ * Creates a menu button offering a choice of workout file formats,
+ * along with the (initially hidden) menu itself.
+ * @param {string} className - The class name for the menu button.
+ * @return {HTMLElement} - The element containing the menu button and menu.
+ */
+function createFormatMenu(className) {
+  const container = document.createElement('span');
+  const menuButton = document.createElement('button');
+  const menu = document.createElement('div');
+  const profileItems = document.createElement('div');
+
+  /**
+   * Shows or hides the format menu.
+   * @param {boolean} visible - True to show the menu, false to hide it.
+   */
+  function setMenuVisible(visible) {
+    menu.hidden = !visible;
+    menuButton.setAttribute('aria-expanded', visible.toString());
+    if (visible) {
+      showProfileItems();
+    }
+  }
+
+  /**
+   * Lists the option profiles in the menu, if there is more than one, to
+   * download with one of them instead of the active profile. The list is
+   * read again each time the menu is shown, as the profiles may have been
+   * changed on the options page.
+   * @return {Promise<void>} A promise that resolves when the profiles are
+   *                         listed.
+   */
+  async function showProfileItems() {
+    let data;
+    try {
+      data = await getOptionProfiles();
+    } catch (error) {
+      console.error('Error getting option profiles: ', error);
+      return;
+    }
+    const names = Object.keys(data.profiles);
+    profileItems.replaceChildren();
+    if (names.length < 2) {
+      return;
+    }
+    for (const name of names) {
+      const item = document.createElement('button');
+      item.textContent = `Download with ‘${name}’` +
+          (name === data.active ? ' (default)' : '');
+      item.setAttribute('role', 'menuitem');
+      item.addEventListener('click', () => {
+        setMenuVisible(false);
+        downloadZWO(undefined, name);
+      });
+      profileItems.appendChild(item);
+    }
+  }
+
   /**
-   * Returns the grandparent element of the given node.
-   * @param {HTMLElement} node - The node whose grandparent is to be retrieved.
-   * @return {HTMLElement|null} - The grandparent element, or null
-   *                               if it doesn't exist.
+   * Hides the menu on a click elsewhere on the page, until the menu is
+   * removed from the page.
    */
-  function grandParentElement(node) {
-    return node?.parentElement?.parentElement;
+  function onDocumentClick() {
+    if (container.isConnected) {
+      setMenuVisible(false);
+    } else {
+      document.removeEventListener('click', onDocumentClick);
+    }
   }
 
+  container.id = 'ZWO-format';
+  menuButton.id = 'ZWO-menu-button';
+  menuButton.textContent = '▾'; // Small down-pointing triangle
+  menuButton.className = className;
+  menuButton.setAttribute('aria-label', 'Choose workout file format');
+  menuButton.setAttribute('aria-haspopup', 'menu');
+  menuButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    setMenuVisible(menu.hidden);
+  });
+  menu.id = 'ZWO-menu';
+  menu.setAttribute('role', 'menu');
+  /**
+   * Adds an item to the menu.
+   * @param {string} label - The label of the menu item.
+   * @param {Function} action - The function to call when the item is
+   *                            chosen.
+   */
+  function addMenuItem(label, action) {
+    const item = document.createElement('button');
+    item.textContent = label;
+    item.setAttribute('role', 'menuitem');
+    item.addEventListener('click', () => {
+      setMenuVisible(false);
+      action();
+    });
+    menu.appendChild(item);
+  }
+
+  for (const [format, label] of Object.entries(fileFormatLabels)) {
+    addMenuItem(label, () => downloadZWO(format));
+  }
+  profileItems.className = 'ZWO-menu-profiles';
+  profileItems.setAttribute('role', 'group');
+  profileItems.setAttribute('aria-label', 'Option profiles');
+  menu.appendChild(profileItems);
+  addMenuItem('Download family', () => downloadWorkoutFamily());
+  addMenuItem('Copy as text', () => copyTextWorkout());
+  addMenuItem('Preview…', () => previewZWO());
+  addMenuItem('Upload…', () => showUploadDialog([getWorkoutId()]));
+  addMenuItem('Copy diagnostics', () => copyDiagnosticBundle());
+  setMenuVisible(false);
+  document.addEventListener('click', onDocumentClick);
+
+  container.append(menuButton, menu);
+  return container;
+}
+
+
+/**
+ * Creates the 'ZWO' button.
+ * @param {string} className - The class name for the button.
+ * @return {HTMLButtonElement} - The new button.
+ */
+function createZwoButton(className) {
+  const zwoButton = document.createElement('button');
+  zwoButton.textContent = zwoButton.id = 'ZWO';
+  zwoButton.className = className;
+  zwoButton.setAttribute('aria-label', 'Download ZWO file');
+  zwoButton.addEventListener('click', () => {
+    downloadZWO();
+  });
+  return zwoButton;
+}
+
+
+/**
+ * Returns the grandparent element of the given node.
+ * @param {HTMLElement} node - The node whose grandparent is to be retrieved.
+ * @return {HTMLElement|null} - The grandparent element, or null
+ *                               if it doesn't exist.
+ */
+function grandParentElement(node) {
+  return node?.parentElement?.parentElement;
+}
+
+
+/**
+ * Finds the 'Open in App' button. The page is searched in several ways,
+ * from the most to the least specific, since TrainerRoad's markup changes
+ * from time to time: by data attributes, by ARIA label, and by the text of
+ * the button in each supported language. Each way looks for either the
+ * 'Open in App' button itself, or the 'Add to Calendar' button, which has a
+ * common great-grandparent.
+ * @return {Element|null} - The 'Open in App' button, or null if not found.
+ */
+function findOpenInAppButton() {
   /**
    * Finds the next sibling with a button descendent starting from a given node.
    * @param {Element} startNode - The node to start the search from.
@@ -561,49 +522,179 @@ function modifyButtons() {
     return null;
   }
 
-  const documentButtons = Array.from(document.querySelectorAll('button'));
-  const scheduleButton = documentButtons.find(function(button) {
-    return button.textContent.trim() === 'Add to Calendar';
-  });
-  const scheduleButtonGrandparent = grandParentElement(scheduleButton);
-  const openInAppButton = findNextSiblingButton(scheduleButtonGrandparent);
+  /**
+   * Finds the 'Open in App' button from the 'Add to Calendar' button.
+   * @param {Element} scheduleButton - The 'Add to Calendar' button.
+   * @return {Element|null} - The 'Open in App' button, or null if not found.
+   */
+  function fromScheduleButton(scheduleButton) {
+    return findNextSiblingButton(grandParentElement(scheduleButton));
+  }
+
+  const documentButtons = Array.from(document.querySelectorAll('button'))
+      .filter((button) => !button.closest('[id^="ZWO"]'));
+  /**
+   * Finds a button by its ARIA label.
+   * @param {Array<string>} labels - The possible labels, in lower case.
+   * @return {Element|undefined} - The button, if found.
+   */
+  function findByAriaLabel(labels) {
+    return documentButtons.find((button) => labels.includes(
+        button.getAttribute('aria-label')?.trim().toLowerCase()));
+  }
+  /**
+   * Finds a button by its text.
+   * @param {Array<string>} labels - The possible texts, in lower case.
+   * @return {Element|undefined} - The button, if found.
+   */
+  function findByText(labels) {
+    return documentButtons.find((button) =>
+      labels.includes(button.textContent.trim().toLowerCase()));
+  }
+
+  const strategies = [
+    () => document.querySelector('button[data-testid*="open-in-app" i], ' +
+        'button[data-test*="open-in-app" i]'),
+    () => fromScheduleButton(document.querySelector(
+        'button[data-testid*="calendar" i], button[data-test*="calendar" i]')),
+    () => findByAriaLabel(openInAppButtonLabels),
+    () => fromScheduleButton(findByAriaLabel(scheduleButtonLabels)),
+    () => findByText(openInAppButtonLabels),
+    () => fromScheduleButton(findByText(scheduleButtonLabels)),
+  ];
+  for (const strategy of strategies) {
+    const button = strategy();
+    if (button) {
+      return button;
+    }
+  }
+  return null;
+}
+
+
+/**
+ * Adds a 'ZWO' button next to the 'Open in App' button, if it
+ * exists (see findOpenInAppButton).
+ * @return {boolean} Returns true if the openInAppButton is found,
+ *                   otherwise false.
+ */
+function modifyButtons() {
+  const openInAppButton = findOpenInAppButton();
 
   if (openInAppButton) {
     const node = grandParentElement(openInAppButton);
     const clone = node.cloneNode(true);
-    const clonedButton = clone.getElementsByTagName('button')[0];
-    const zwoButton = document.createElement('button');
-    zwoButton.textContent = zwoButton.id = 'ZWO';
-    zwoButton.className = openInAppButton.className;
-    zwoButton.setAttribute('aria-label', 'Download ZWO file');
-    zwoButton.addEventListener('click', () => {
-      downloadZWO();
-    });
+    const buttonIndex = Array.from(node.getElementsByTagName('button'))
+        .indexOf(openInAppButton);
+    const clonedButton = clone.getElementsByTagName('button')[buttonIndex];
+    const zwoButton = createZwoButton(openInAppButton.className);
 
+    document.getElementById('ZWO-floating')?.remove();
     clonedButton.parentNode.replaceChild(zwoButton, clonedButton);
+    zwoButton.after(createFormatMenu(openInAppButton.className));
     node.parentNode.insertBefore(clone, null);
   }
   return openInAppButton != null;
 }
 
+
 /**
- * Mutation observer for monitoring DOM changes.
- * @type {MutationObserver}
+ * Adds a floating 'ZWO' button in the corner of the page, for when the
+ * 'Open in App' button can't be found.
  */
-const observer = new MutationObserver(() => {
-  try {
-    if (modifyButtons()) {
-      observer.disconnect();
+function addFloatingButton() {
+  const container = document.createElement('div');
+  const zwoButton = createZwoButton('ZWO-floating-button');
+  container.id = 'ZWO-floating';
+  container.append(zwoButton, createFormatMenu('ZWO-floating-button'));
+  document.body.appendChild(container);
+}
+
+
+/**
+ * The timer for showing the floating 'ZWO' button, while waiting for the
+ * 'Open in App' button.
+ * @type {number|undefined}
+ */
+let floatingButtonTimer;
+
+
+/**
+ * Makes sure the 'ZWO' button is on the page when, and only when, the page
+ * is a workout page. TrainerRoad is a single-page app, so the page can
+ * change to another workout, or away from workouts, without reloading, and
+ * the button can disappear when the page is redrawn.
+ */
+function updateButtons() {
+  if (!isWorkoutPage()) {
+    clearTimeout(floatingButtonTimer);
+    floatingButtonTimer = undefined;
+    document.getElementById('ZWO-floating')?.remove();
+    return;
+  }
+  const zwoButton = document.getElementById('ZWO');
+  if (zwoButton && !zwoButton.closest('#ZWO-floating')) {
+    return;
+  }
+  if (modifyButtons()) {
+    clearTimeout(floatingButtonTimer);
+    floatingButtonTimer = undefined;
+  } else if (!zwoButton && floatingButtonTimer === undefined) {
+    floatingButtonTimer = setTimeout(() => {
+      if (isWorkoutPage() && !document.getElementById('ZWO')) {
+        addFloatingButton();
+      }
+    }, floatingButtonDelay);
+  }
+}
+
+
+/**
+ * Calls a function to update the page whenever the page changes, e.g. to
+ * put the 'ZWO' button back after TrainerRoad redraws the page. Changes are
+ * handled at most every 100 ms, because the page changes often. The
+ * observer stays connected if the update fails, e.g. on a page TrainerRoad
+ * is still drawing: the error is logged and the next change is handled
+ * after a longer delay, doubling up to 10 s until an update succeeds.
+ * @param {function(): void} update - The function to update the page.
+ * @return {MutationObserver} - The observer, observing the document.
+ */
+function observePage(update) {
+  const minDelay = 100;
+  const maxDelay = 10000;
+  let delay = minDelay;
+  let pending = false;
+  const pageObserver = new MutationObserver(() => {
+    if (pending) {
+      return;
     }
-  } catch (error) {
-    console.log('DOM modification failed: ', error);
-    observer.disconnect();
+    pending = true;
+    setTimeout(() => {
+      pending = false;
+      try {
+        update();
+        delay = minDelay;
+      } catch (error) {
+        console.error('DOM modification failed:', error);
+        delay = Math.min(delay * 2, maxDelay);
+      }
+    }, delay);
+  });
+  pageObserver.observe(document, {childList: true, subtree: true});
+  return pageObserver;
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type === 'downloadWorkout') {
+    downloadRequestedWorkout(message.url);
   }
+  return false;
 });
 
 document.addEventListener('DOMContentLoaded', function() {
-  // If the buttons are not modified, start observing the DOM.
-  if (!modifyButtons()) {
-    observer.observe(document, {childList: true, subtree: true});
-  }
+  // Other pages get the bulk export (see bulk.js) or the library buttons
+  // (see library.js) instead, but TrainerRoad can still navigate to a
+  // workout page without reloading.
+  updateButtons();
+  observePage(updateButtons);
 });
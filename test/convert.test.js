@@ -0,0 +1,72 @@
+/**
+ * Tests for the conversion core in package/convert.js. Run with
+ * `node --test test/` (Node 18 or later).
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  IntervalType,
+  defaultOptions,
+  getZwiftIntervals,
+  generateZwiftWorkout,
+} = require('../package/convert.js');
+const {createWorkoutData} = require('./workout-data.js');
+
+
+test('stairs down toward 0% FTP become a ramp that stops at 0', () => {
+  const options = {...defaultOptions, stepConversion: 'ramps'};
+  const workout = {
+    Details: {WorkoutName: 'Stairs'},
+    WorkoutData: createWorkoutData([[300, 50], [60, 9], [60, 5], [60, 1]]),
+  };
+  const intervals = getZwiftIntervals(workout.WorkoutData, options);
+  const ramp = intervals.at(-1);
+  assert.equal(ramp.type, IntervalType.COOLDOWN);
+  assert.equal(ramp.startPower, 11);
+  assert.equal(ramp.endPower, 0);
+  assert.doesNotThrow(() => generateZwiftWorkout(workout, options));
+});
+
+
+test('ramps split into steps aren\'t merged into over-unders', () => {
+  const data = createWorkoutData([[300, 50], [360, 60, 66], [300, 50]]);
+  for (const ouConversion of ['strict', 'loose', 'custom']) {
+    const options = {...defaultOptions, stepConversion: 'steps',
+      ouConversion, ouTolerance: 10};
+    const intervals = getZwiftIntervals(data, options);
+    assert.ok(intervals.every((interval) =>
+      interval.type !== IntervalType.OVER_UNDER), ouConversion);
+    assert.equal(intervals.filter((interval) =>
+      interval.type === IntervalType.STEADY_STATE).length, 8);
+  }
+});
+
+
+test('the ZWO check allows workout data that doesn\'t start at 0', () => {
+  const workout = {
+    Details: {WorkoutName: 'Late start'},
+    WorkoutData: createWorkoutData([[300, 50], [600, 80], [300, 50]])
+        .map((dataPoint) => ({...dataPoint,
+          Seconds: dataPoint.Seconds + 5000})),
+  };
+  assert.doesNotThrow(() => generateZwiftWorkout(workout, defaultOptions));
+});
+
+
+test('internal ramp conversion keeps the warmup and cooldown ramps', () => {
+  const options = {...defaultOptions, rampConversion: 'internal'};
+  const data = createWorkoutData([[300, 40, 70], [300, 70], [300, 70, 90],
+    [300, 70], [300, 70, 40]]);
+  const intervals = getZwiftIntervals(data, options);
+  assert.deepEqual(intervals.map((interval) => interval.type), [
+    IntervalType.WARMUP,
+    IntervalType.STEADY_STATE,
+    IntervalType.STEADY_STATE,
+    IntervalType.STEADY_STATE,
+    IntervalType.COOLDOWN,
+  ]);
+  assert.deepEqual(intervals.map((interval) => interval.flattened),
+      [false, false, true, false, false]);
+  assert.equal(intervals[2].startPower, 80);
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for the FIT workout encoder in package/fit.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {defaultOptions} = require('../package/convert.js');
+const {encodeFitFile, generateFitWorkout} = require('../package/fit.js');
+const {createWorkoutData} = require('./workout-data.js');
+
+
+/**
+ * Computes the CRC-16 used by FIT files (CRC-16/ARC), one bit at a time,
+ * as a check on the table-driven one in fit.js.
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @return {number} - The CRC.
+ */
+function crc16(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+    }
+  }
+  return crc;
+}
+
+
+/**
+ * Decodes a FIT file written by encodeFitFile, checking its header and
+ * CRCs.
+ * @param {Uint8Array} bytes - The FIT file.
+ * @return {Array<Object>} - The data messages, each with its
+ *     'globalNumber' and its 'fields', an object mapping field numbers to
+ *     values (strings without the NUL terminator).
+ */
+function decodeFitFile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  assert.equal(bytes[0], 14);
+  assert.equal(new TextDecoder().decode(bytes.subarray(8, 12)), '.FIT');
+  assert.equal(view.getUint32(4, true), bytes.length - 16);
+  assert.equal(view.getUint16(12, true), crc16(bytes.subarray(0, 12)));
+  assert.equal(view.getUint16(bytes.length - 2, true),
+      crc16(bytes.subarray(0, bytes.length - 2)));
+
+  const messages = [];
+  let definition;
+  let position = 14;
+  while (position < bytes.length - 2) {
+    const header = bytes[position++];
+    if (header === 0x40) {
+      const globalNumber = view.getUint16(position + 2, true);
+      const count = bytes[position + 4];
+      position += 5;
+      const fields = [];
+      for (let index = 0; index < count; index++) {
+        fields.push({number: bytes[position], size: bytes[position + 1],
+          type: bytes[position + 2]});
+        position += 3;
+      }
+      definition = {globalNumber, fields};
+    } else {
+      assert.equal(header, 0x00);
+      const fields = {};
+      for (const field of definition.fields) {
+        const data = bytes.subarray(position, position + field.size);
+        fields[field.number] = field.type === 0x07 ?
+          new TextDecoder().decode(data.subarray(0, data.indexOf(0))) :
+          data.reduceRight((value, byte) => value * 256 + byte, 0);
+        position += field.size;
+      }
+      messages.push({globalNumber: definition.globalNumber, fields});
+    }
+  }
+  assert.equal(position, bytes.length - 2);
+  return messages;
+}
+
+
+test('the encoder writes a valid header, definitions and CRCs', () => {
+  const messages = [
+    {globalNumber: 0, fields: [{number: 0, type: {id: 0x00, size: 1},
+      value: 5}]},
+    {globalNumber: 0, fields: [{number: 0, type: {id: 0x00, size: 1},
+      value: 6}]},
+    {globalNumber: 26, fields: [{number: 6, type: {id: 0x84, size: 2},
+      value: 0x1234}]},
+  ];
+  const bytes = encodeFitFile(messages);
+  // Two definitions: the second message has the same layout as the first.
+  assert.equal(bytes.filter((byte, index) => index >= 14 &&
+    byte === 0x40).length, 2);
+  assert.deepEqual(decodeFitFile(bytes), [
+    {globalNumber: 0, fields: {0: 5}},
+    {globalNumber: 0, fields: {0: 6}},
+    {globalNumber: 26, fields: {6: 0x1234}},
+  ]);
+});
+
+
+test('a workout becomes FIT workout steps', () => {
+  const workout = {
+    Details: {WorkoutName: 'Baxter'},
+    WorkoutData: createWorkoutData([[300, 40, 60], [120, 100], [60, 50],
+      [120, 100], [60, 50], [120, 100], [60, 50], [300, 55]]),
+  };
+  const date = new Date('2024-01-01T00:00:00Z');
+  const {filename, content} = generateFitWorkout(workout,
+      {...defaultOptions, fitRampMode: 'range'}, date);
+  assert.equal(filename, 'Baxter.fit');
+
+  const [fileId, workoutMessage, ...steps] = decodeFitFile(content);
+  assert.equal(fileId.globalNumber, 0);
+  assert.equal(fileId.fields[0], 5); // Workout file
+  assert.equal(fileId.fields[4], date.getTime() / 1000 - 631065600);
+  assert.equal(workoutMessage.globalNumber, 26);
+  assert.equal(workoutMessage.fields[8], 'Baxter');
+  assert.equal(workoutMessage.fields[6], steps.length);
+
+  // Index, duration type, duration, target type, repeat, low and high
+  // power and intensity of each step.
+  assert.deepEqual(steps.map(({fields}) => [fields[254], fields[1],
+    fields[2], fields[3], fields[4], fields[5], fields[6], fields[7]]), [
+    [0, 0, 300000, 4, 0, 40, 60, 2],
+    [1, 0, 120000, 4, 0, 100, 100, 0],
+    [2, 0, 60000, 4, 0, 50, 50, 1],
+    [3, 6, 1, 2, 3, 0, 0, 0],
+    [4, 0, 300000, 4, 0, 55, 55, 0],
+  ]);
+});
+
+
+test('stepped ramps target the average power of each minute', () => {
+  const workout = {
+    Details: {WorkoutName: 'Ramp'},
+    WorkoutData: createWorkoutData([[180, 40, 70], [300, 80]]),
+  };
+  const {content} = generateFitWorkout(workout, defaultOptions);
+  const steps = decodeFitFile(content).slice(2);
+  assert.deepEqual(steps.map(({fields}) => [fields[2], fields[5]]), [
+    [60000, 45], [60000, 55], [60000, 65], [300000, 80],
+  ]);
+});
+
+
+test('long workout names are cut to whole characters', () => {
+  const workout = {
+    Details: {WorkoutName: 'é'.repeat(40)},
+    WorkoutData: createWorkoutData([[300, 50]]),
+  };
+  const {content} = generateFitWorkout(workout, defaultOptions);
+  assert.equal(decodeFitFile(content)[1].fields[8], 'é'.repeat(31));
+});
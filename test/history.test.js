@@ -0,0 +1,127 @@
+/**
+ * Tests for the export history in package/history.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  IntervalType,
+  FileFormat,
+  defaultOptions,
+  getWorkoutIntervals,
+  generateWorkoutFile,
+} = require('../package/convert.js');
+const {
+  hashContent,
+  rebuildExport,
+  checkExport,
+  diffIntervals,
+} = require('../package/history.js');
+const {createWorkoutData} = require('./workout-data.js');
+
+// Node 18 only has Web Crypto as a module.
+globalThis.crypto ??= require('node:crypto').webcrypto;
+
+
+/**
+ * Exports a workout, as recordExport saves it.
+ * @param {Object} workout - The workout.
+ * @param {Object} options - The options.
+ * @param {string} format - The file format.
+ * @return {Promise<Object>} A promise that resolves to an object with the
+ *     history 'entry' and the exported 'workoutFile'.
+ */
+async function exportWorkout(workout, options, format) {
+  const date = new Date('2024-05-01T12:00:00Z');
+  const workoutFile = generateWorkoutFile(workout, options, format, date);
+  return {
+    workoutFile,
+    entry: {
+      workoutId: '123',
+      name: workout.Details.WorkoutName,
+      workoutName: workout.Details.WorkoutName,
+      details: workout.Details,
+      filename: workoutFile.filename,
+      format,
+      options,
+      date: date.toISOString(),
+      hash: await hashContent(workoutFile.content),
+      intervals: getWorkoutIntervals(workout, options),
+    },
+  };
+}
+
+
+const workout = {
+  Details: {WorkoutName: 'Baxter', WorkoutDescription: 'Sweet spot.',
+    Tss: 60, IntensityFactor: 0.8, Kj: 500},
+  WorkoutData: createWorkoutData([[300, 40, 60], [600, 90], [300, 50],
+    [600, 90], [300, 60, 40]]),
+};
+
+
+test('exports are rebuilt as they were exported', async () => {
+  for (const format of Object.values(FileFormat)) {
+    for (const intensity of [100, 90]) {
+      const options = {...defaultOptions, intensity};
+      const {entry, workoutFile} =
+          await exportWorkout(workout, options, format);
+      assert.deepEqual(rebuildExport(entry), workoutFile,
+          `${format} at ${intensity}%`);
+    }
+  }
+});
+
+
+test('rebuilt exports leave out the fidelity report', async () => {
+  const options = {...defaultOptions, fidelityReport: 'description'};
+  const {entry, workoutFile} =
+      await exportWorkout(workout, options, FileFormat.ZWO);
+  assert.match(workoutFile.content, /Conversion fidelity/);
+  const rebuilt = rebuildExport(entry);
+  assert.doesNotMatch(rebuilt.content, /Conversion fidelity/);
+  assert.equal(rebuilt.filename, workoutFile.filename);
+});
+
+
+test('a workout changed by TrainerRoad is flagged, with its intervals',
+    async () => {
+      const {entry} =
+          await exportWorkout(workout, defaultOptions, FileFormat.ZWO);
+      assert.deepEqual(await checkExport(entry, workout),
+          {intervals: entry.intervals, changed: false});
+
+      const changed = {...workout, WorkoutData: createWorkoutData([
+        [300, 40, 60], [600, 95], [300, 50], [600, 90], [300, 60, 40]])};
+      const result = await checkExport(entry, changed);
+      assert.equal(result.changed, true);
+      assert.deepEqual(diffIntervals(entry.intervals, result.intervals), [
+        '  Warmup 300 s, 40%-60%',
+        '- SteadyState 600 s at 90%',
+        '+ SteadyState 600 s at 95%',
+        '  SteadyState 300 s at 50%',
+        '  SteadyState 600 s at 90%',
+        '  Cooldown 300 s, 60%-40%',
+      ]);
+    });
+
+
+test('the interval diff keeps the longest run of unchanged intervals', () => {
+  const steady = (duration, startPower) =>
+    ({type: IntervalType.STEADY_STATE, duration, startPower});
+  const overUnder = {type: IntervalType.OVER_UNDER, repeat: 3,
+    onDuration: 60, offDuration: 30, onPower: 110, offPower: 60};
+  assert.deepEqual(diffIntervals(
+      [steady(60, 50), steady(60, 60), overUnder, steady(60, 50)],
+      [steady(60, 50), overUnder, steady(30, 70), steady(60, 50)]), [
+    '  SteadyState 60 s at 50%',
+    '- SteadyState 60 s at 60%',
+    '  IntervalsT 3 x (60 s at 110%, 30 s at 60%)',
+    '+ SteadyState 30 s at 70%',
+    '  SteadyState 60 s at 50%',
+  ]);
+  assert.deepEqual(diffIntervals([], [steady(10, 50)]),
+      ['+ SteadyState 10 s at 50%']);
+  assert.deepEqual(diffIntervals([steady(10, 50)], []),
+      ['- SteadyState 10 s at 50%']);
+});
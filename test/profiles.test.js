@@ -0,0 +1,140 @@
+/**
+ * Tests for the option profiles in package/profiles.js, with an in-memory
+ * chrome.storage.sync.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {defaultOptions} = require('../package/convert.js');
+const {
+  getOptionProfiles,
+  setOptionProfiles,
+  getProfileOptions,
+  exportOptionProfiles,
+  importOptionProfiles,
+} = require('../package/profiles.js');
+
+
+/**
+ * Replaces chrome.storage.sync with an in-memory store.
+ * @param {Object} items - The items stored to begin with.
+ * @param {Object} [limits] - 'quotaBytes', the most that can be stored,
+ *     counted as the length of the items as JSON, like Chrome does.
+ * @return {Object} - The stored items, which are changed as they are
+ *     saved, and 'writes', the number of calls to set.
+ */
+function useSyncStorage(items, {quotaBytes = Infinity} = {}) {
+  const store = {items: structuredClone(items), writes: 0};
+  globalThis.chrome = {storage: {sync: {
+    async get(keys) {
+      return structuredClone(keys === null ? store.items :
+        Object.fromEntries([keys].flat().filter((key) => key in store.items)
+            .map((key) => [key, store.items[key]])));
+    },
+    async set(items) {
+      store.writes++;
+      if (JSON.stringify({...store.items, ...items}).length > quotaBytes) {
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(store.items, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [keys].flat()) {
+        delete store.items[key];
+      }
+    },
+  }}};
+  return store;
+}
+
+
+test('options stored before profiles become the default profile once',
+    async () => {
+      const options = {...defaultOptions, ftp: 300};
+      const store = useSyncStorage({options});
+      const data = await getOptionProfiles();
+      assert.equal(data.active, 'Default');
+      assert.deepEqual(data.profiles, {Default: options});
+      assert.equal(store.writes, 1);
+      assert.deepEqual(store.items.optionProfiles,
+          {version: 1, active: 'Default', names: ['Default']});
+      assert.deepEqual(store.items['optionProfile:Default'], options);
+      // Older versions of the extension still find their options.
+      assert.deepEqual(store.items.options, options);
+
+      assert.deepEqual(await getOptionProfiles(), data);
+      assert.equal(store.writes, 1);
+    });
+
+
+test('without stored options, the defaults are used but not stored',
+    async () => {
+      const store = useSyncStorage({});
+      assert.deepEqual((await getOptionProfiles()).profiles,
+          {Default: defaultOptions});
+      assert.equal(store.writes, 0);
+    });
+
+
+test('profiles stored by a later version keep what this one doesn\'t know',
+    async () => {
+      const store = useSyncStorage({
+        'optionProfiles': {version: 2, active: 'Race', names: ['Race', 'Slow'],
+          colors: {Race: 'red'}},
+        'optionProfile:Race': {ftp: 320, newOption: true},
+      });
+      const data = await getOptionProfiles();
+      // 'Slow' hasn't been synced yet, so it is left out.
+      assert.deepEqual(Object.keys(data.profiles), ['Race']);
+      assert.equal(data.version, 2);
+      assert.deepEqual(data.colors, {Race: 'red'});
+      assert.equal((await getProfileOptions()).ftp, 320);
+
+      await setOptionProfiles(data);
+      assert.deepEqual(store.items.optionProfiles, {version: 2,
+        active: 'Race', colors: {Race: 'red'}, names: ['Race']});
+      assert.deepEqual(store.items['optionProfile:Race'],
+          {ftp: 320, newOption: true});
+    });
+
+
+test('a renamed profile\'s old item is removed after saving', async () => {
+  const store = useSyncStorage({
+    'optionProfiles': {version: 1, active: 'Old', names: ['Old']},
+    'optionProfile:Old': {ftp: 200},
+  });
+  await setOptionProfiles({version: 1, active: 'New',
+    profiles: {New: {ftp: 200}}});
+  assert.deepEqual(Object.keys(store.items).sort(),
+      ['optionProfile:New', 'optionProfiles']);
+});
+
+
+test('profiles that don\'t fit are reported, and nothing is removed',
+    async () => {
+      const items = {
+        'optionProfiles': {version: 1, active: 'A', names: ['A']},
+        'optionProfile:A': {ftp: 200},
+      };
+      const store = useSyncStorage(items,
+          {quotaBytes: JSON.stringify(items).length});
+      await assert.rejects(setOptionProfiles({version: 1, active: 'B',
+        profiles: {B: defaultOptions}}), /don't fit in Chrome's synchronized/);
+      assert.deepEqual(store.items, items);
+    });
+
+
+test('exported profiles import with missing options set to defaults', () => {
+  const data = {version: 1, active: 'A', profiles: {
+    A: {...defaultOptions, ftp: 280},
+    B: {},
+  }};
+  const imported = importOptionProfiles(exportOptionProfiles(data));
+  assert.deepEqual(imported, {
+    A: {...defaultOptions, ftp: 280},
+    B: defaultOptions,
+  });
+  assert.throws(() => importOptionProfiles('{'), /isn't JSON/);
+  assert.throws(() => importOptionProfiles('{"format": "other"}'),
+      /doesn't contain trzwo option profiles/);
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the conversion fidelity report in package/report.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {defaultOptions, getZwiftIntervals} =
+    require('../package/convert.js');
+const {
+  getPowerSeries,
+  getPowerMetrics,
+  computeFidelityReport,
+  formatFidelityReport,
+} = require('../package/report.js');
+const {createWorkoutData} = require('./workout-data.js');
+
+
+test('power profiles are sampled at the start of each second', () => {
+  assert.deepEqual(getPowerSeries([
+    {seconds: 0, power: 50},
+    {seconds: 2, power: 50},
+    {seconds: 2, power: 80}, // A step
+    {seconds: 4, power: 80},
+    {seconds: 8, power: 40}, // A ramp
+  ]), [50, 50, 80, 80, 80, 70, 60, 50]);
+  assert.deepEqual(getPowerSeries([]), []);
+});
+
+
+test('an hour at FTP is 100 TSS', () => {
+  const metrics = getPowerMetrics(new Array(3600).fill(100), 250);
+  assert.deepEqual(metrics, {duration: 3600, kj: 900, normalizedPower: 100,
+    intensityFactor: 1, tss: 100});
+});
+
+
+test('normalized power weighs hard efforts more than average power', () => {
+  // Alternating minutes at 120% and 40% FTP average 80% FTP.
+  const series = Array.from({length: 1800},
+      (_, second) => Math.floor(second / 60) % 2 ? 40 : 120);
+  const metrics = getPowerMetrics(series, 200);
+  assert.equal(metrics.kj, 1800 * 0.8 * 200 / 1000);
+  assert.ok(metrics.normalizedPower > 90, String(metrics.normalizedPower));
+  assert.ok(metrics.normalizedPower < 120, String(metrics.normalizedPower));
+  // Under the 30-second rolling window, it is just the average.
+  assert.equal(getPowerMetrics([60, 80, 100], 200).normalizedPower, 80);
+});
+
+
+test('the report shows how far a flattened ramp moved the power', () => {
+  const data = createWorkoutData([[600, 50], [120, 60, 64], [600, 50]]);
+  const options = {...defaultOptions, rampConversion: 'all'};
+  const report = computeFidelityReport(data,
+      getZwiftIntervals(data, options), options);
+  assert.deepEqual(report.segments.map((segment) =>
+    [segment.start, segment.duration, segment.maxDeviation]),
+  [[0, 600, 0], [600, 120, 2], [720, 600, 0]]);
+  assert.equal(report.maxDeviation, 2);
+  assert.equal(report.original.duration, report.converted.duration);
+  assert.ok(Math.abs(report.original.kj - report.converted.kj) < 0.1);
+  assert.deepEqual(report.xp.original.byType, {SteadyState: 240, Ramp: 12});
+  assert.deepEqual(report.xp.converted.byType, {SteadyState: 264});
+
+  assert.equal(formatFidelityReport(report), [
+    'Conversion fidelity (TrainerRoad → converted):',
+    'Duration: 22:00 → 22:00',
+    'Work: 169 kJ → 169 kJ',
+    'TSS: 9.7 → 9.7',
+    'IF: 0.51 → 0.51',
+    'NP: 51% → 51% FTP',
+    'Max power deviation: 2.0% FTP (segment 2, SteadyState)',
+    'Zwift XP (estimate): 252 → 264',
+  ].join('\n'));
+});
+
+
+test('the report compares with the original at the same intensity', () => {
+  const data = createWorkoutData([[600, 50], [600, 80], [600, 50]]);
+  const options = {...defaultOptions, intensity: 90};
+  const report = computeFidelityReport(data,
+      getZwiftIntervals(data, options), options);
+  assert.ok(report.maxDeviation < 1e-9, String(report.maxDeviation));
+  assert.ok(Math.abs(report.original.normalizedPower -
+      report.converted.normalizedPower) < 1e-9);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the plain-text workout syntax in package/text.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  IntervalType,
+  defaultOptions,
+  getZwiftIntervals,
+  generateZwiftWorkout,
+} = require('../package/convert.js');
+const {formatTextWorkout, parseTextWorkout} = require('../package/text.js');
+const {createWorkoutData} = require('./workout-data.js');
+
+
+test('intervals are written in blocks', () => {
+  const text = formatTextWorkout([
+    {type: IntervalType.WARMUP, duration: 600, startPower: 40,
+      endPower: 65.25},
+    {type: IntervalType.STEADY_STATE, duration: 3900, startPower: 70,
+      endPower: 70},
+    {type: IntervalType.RAMP, duration: 90, startPower: 70, endPower: 90},
+    {type: IntervalType.OVER_UNDER, repeat: 4, onDuration: 150,
+      offDuration: 45, onPower: 105, offPower: 55},
+    {type: IntervalType.FREE_RIDE, duration: 300, startPower: 50,
+      endPower: 50},
+    {type: IntervalType.COOLDOWN, duration: 300, startPower: 60,
+      endPower: 40},
+  ]);
+  assert.equal(text, 'Warmup\n- 10m ramp 40-65.3%\n\n' +
+      '- 1h5m 70%\n- 1m30s ramp 70-90%\n\n' +
+      '4x\n- 2m30s 105%\n- 45s 55%\n\n' +
+      '- 5m 50% freeride\n\n' +
+      'Cooldown\n- 5m ramp 60-40%\n');
+});
+
+
+test('written intervals read back the same', () => {
+  const intervals = [
+    {type: IntervalType.WARMUP, duration: 600, startPower: 40.5,
+      endPower: 65},
+    {type: IntervalType.STEADY_STATE, duration: 45, startPower: 70,
+      endPower: 70},
+    {type: IntervalType.OVER_UNDER, repeat: 3, onDuration: 120,
+      offDuration: 60, onPower: 100, offPower: 50.1},
+    {type: IntervalType.RAMP, duration: 3700, startPower: 70,
+      endPower: 80},
+    {type: IntervalType.FREE_RIDE, duration: 600, startPower: 45,
+      endPower: 45},
+    {type: IntervalType.COOLDOWN, duration: 300, startPower: 60,
+      endPower: 40},
+  ];
+  assert.deepEqual(parseTextWorkout(formatTextWorkout(intervals)),
+      intervals);
+});
+
+
+test('a workout read back converts to the same ZWO file', () => {
+  const workout = {
+    Details: {WorkoutName: 'Round trip'},
+    WorkoutData: createWorkoutData([[300, 40, 60], [120, 100], [60, 50],
+      [120, 100], [60, 50], [120, 100], [60, 50], [180, 70, 80], [600, 45],
+      [300, 60, 40]]),
+  };
+  const options = {...defaultOptions, freeRide: 'recovery'};
+  const intervals = parseTextWorkout(formatTextWorkout(
+      getZwiftIntervals(workout.WorkoutData, options)));
+  assert.equal(
+      generateZwiftWorkout({...workout, intervalEdits: {intervals}}, options)
+          .content,
+      generateZwiftWorkout(workout, options).content);
+});
+
+
+test('repeats can be written on one line, and others are written out',
+    () => {
+      assert.deepEqual(parseTextWorkout('3x 5m 105% 2m 55%\n'), [
+        {type: IntervalType.OVER_UNDER, repeat: 3, onDuration: 300,
+          offDuration: 120, onPower: 105, offPower: 55},
+      ]);
+      const steps = parseTextWorkout('2x\n-1m ramp 50-60%\n30s 40%\n');
+      assert.deepEqual(steps.map((step) => step.type), [
+        IntervalType.RAMP, IntervalType.STEADY_STATE,
+        IntervalType.RAMP, IntervalType.STEADY_STATE,
+      ]);
+    });
+
+
+test('lines that can\'t be read are reported with their number', () => {
+  for (const [text, message] of [
+    ['- 5m 70%\n- 5 70%', /Expected a duration but found '5' on line 2/],
+    ['- 5m ramp 70%', /Expected a power range but found '70%' on line 1/],
+    ['- 5m 70% easy', /Unexpected 'easy' on line 1/],
+    ['0x 5m 70%', /Expected a repeat count of at least 1 on line 1/],
+    ['4x\n\n- 5m 70%', /Expected steps after '4x' on line 2/],
+  ]) {
+    assert.throws(() => parseTextWorkout(text),
+        (error) => error instanceof SyntaxError && message.test(error.message),
+        text);
+  }
+});
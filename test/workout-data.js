@@ -0,0 +1,30 @@
+/**
+ * Creates TrainerRoad workout data for the tests.
+ */
+
+/**
+ * Creates TrainerRoad workout data, one point a second, from steady
+ * segments and ramps.
+ * @param {Array<Array<number>>} segments - Each segment as [duration in
+ *     seconds, start power, end power (defaults to the start power)].
+ * @return {Array<Object>} - The workout data.
+ */
+function createWorkoutData(segments) {
+  const data = [];
+  let seconds = 0;
+  for (const [duration, startPower, endPower = startPower] of segments) {
+    for (let second = 0; second < duration; second++) {
+      data.push({
+        Seconds: seconds * 1000,
+        FtpPercent: startPower + (endPower - startPower) * second / duration,
+      });
+      seconds++;
+    }
+  }
+  const [, startPower, endPower = startPower] = segments.at(-1);
+  data.push({Seconds: seconds * 1000, FtpPercent: endPower});
+  return data;
+}
+
+
+module.exports = {createWorkoutData};
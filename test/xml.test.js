@@ -0,0 +1,98 @@
+/**
+ * Tests for the XML writer and parser in package/xml.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  createXmlElement,
+  createCdata,
+  writeXml,
+  parseXml,
+} = require('../package/xml.js');
+
+
+test('elements are written one per line, indented with tabs', () => {
+  const xml = writeXml(createXmlElement('workout_file', {}, [
+    createXmlElement('name', {}, ['Baxter']),
+    createXmlElement('workout', {}, [
+      createXmlElement('SteadyState', {Duration: 300, Power: 0.65,
+        Cadence: undefined}),
+    ]),
+  ]));
+  assert.equal(xml, '<workout_file>\n' +
+      '\t<name>Baxter</name>\n' +
+      '\t<workout>\n' +
+      '\t\t<SteadyState Duration="300" Power="0.65"/>\n' +
+      '\t</workout>\n' +
+      '</workout_file>\n');
+});
+
+
+test('text, attributes and CDATA sections are escaped', () => {
+  const xml = writeXml(createXmlElement('textevent',
+      {message: 'Spin <fast> & "smooth"\nnow'}, [
+        'a < b & c',
+        createCdata('keep <this> ]]> too'),
+      ]));
+  assert.equal(xml, '<textevent message="Spin &lt;fast&gt; &amp; ' +
+      '&quot;smooth&quot;&#10;now">a &lt; b &amp; c' +
+      '<![CDATA[keep <this> ]]]]><![CDATA[> too]]></textevent>\n');
+});
+
+
+test('characters XML can\'t represent are left out', () => {
+  const xml = writeXml(createXmlElement('name', {}, ['a\u0000b\u001Fc\uFFFF',
+    createCdata('d\uD800e')]));
+  assert.equal(xml, '<name>abc<![CDATA[de]]></name>\n');
+});
+
+
+test('invalid element and attribute names are rejected', () => {
+  assert.throws(() => writeXml(createXmlElement('1st')),
+      /Invalid XML element name/);
+  assert.throws(() => writeXml(createXmlElement('a', {'b c': 1})),
+      /Invalid XML attribute name/);
+});
+
+
+test('written XML parses back to the same elements and text', () => {
+  const element = createXmlElement('workout_file', {}, [
+    createXmlElement('description', {}, [
+      createCdata('Line 1\nLine 2 ]]> & <b>'),
+    ]),
+    createXmlElement('textevent', {timeoffset: '10',
+      message: 'Tab\there, "quoted"\nand <tagged> & more'}),
+    createXmlElement('name', {}, ['Über & 2×20']),
+  ]);
+  assert.deepEqual(parseXml(writeXml(element)),
+      createXmlElement('workout_file', {}, [
+        createXmlElement('description', {},
+            ['Line 1\nLine 2 ]]> & <b>']),
+        createXmlElement('textevent', {timeoffset: '10',
+          message: 'Tab\there, "quoted"\nand <tagged> & more'}),
+        createXmlElement('name', {}, ['Über & 2×20']),
+      ]));
+});
+
+
+test('the parser skips declarations and comments and decodes references',
+    () => {
+      const root = parseXml('<?xml version="1.0"?>\n<!-- comment -->\n' +
+          '<a x=\'1\'>&#65;&#x42;&apos;<!-- inner --></a>');
+      assert.deepEqual(root, createXmlElement('a', {x: '1'}, ['AB\'']));
+    });
+
+
+test('documents that aren\'t well-formed are rejected', () => {
+  for (const text of [
+    '',
+    '<a>',
+    '<a></b>',
+    '<a x="1" x="2"/>',
+    '<a>&nbsp;</a>',
+    '<a/><b/>',
+  ]) {
+    assert.throws(() => parseXml(text), SyntaxError, text);
+  }
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for the Zwift XP estimate and optimizer in package/xp.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  IntervalType,
+  defaultOptions,
+  getZwiftIntervals,
+} = require('../package/convert.js');
+const {estimateXp} = require('../package/xp.js');
+const {createWorkoutData} = require('./workout-data.js');
+
+
+test('XP is estimated per block at the rates in the options', () => {
+  const intervals = [
+    {type: IntervalType.WARMUP, duration: 120, startPower: 40,
+      endPower: 60},
+    {type: IntervalType.STEADY_STATE, duration: 90, startPower: 80},
+    {type: IntervalType.FREE_RIDE, duration: 300},
+  ];
+  assert.deepEqual(estimateXp(intervals, defaultOptions), {
+    total: 30,
+    byType: {Warmup: 12, SteadyState: 18, FreeRide: 0},
+  });
+  const options = {...defaultOptions, xpPerMinute: 10, rampXpPerMinute: 5};
+  assert.equal(estimateXp(intervals, options).total, 25);
+});
+
+
+test('optimizing for XP flattens a ramp only within the deviation limit',
+    () => {
+      const data = createWorkoutData([[300, 50], [120, 60, 64], [300, 50]]);
+      const types = (xpMaxDeviation) => getZwiftIntervals(data,
+          {...defaultOptions, xpMode: 'optimize', xpMaxDeviation})
+          .map((interval) => interval.type);
+      assert.deepEqual(types(1), [IntervalType.STEADY_STATE,
+        IntervalType.RAMP, IntervalType.STEADY_STATE]);
+      assert.deepEqual(types(2), [IntervalType.STEADY_STATE,
+        IntervalType.STEADY_STATE, IntervalType.STEADY_STATE]);
+    });
+
+
+test('optimizing for XP falls back to the closest conversion', () => {
+  // No conversion matches these fractional power targets exactly.
+  const data = createWorkoutData([[300, 50.4], [120, 60.4, 64.4],
+    [300, 50.4]]);
+  const intervals = getZwiftIntervals(data,
+      {...defaultOptions, xpMode: 'optimize', xpMaxDeviation: 0});
+  assert.deepEqual(intervals.map((interval) => interval.type), [
+    IntervalType.STEADY_STATE, IntervalType.RAMP, IntervalType.STEADY_STATE,
+  ]);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the ZIP archive writer in package/zip.js.
+ */
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {createZip} = require('../package/zip.js');
+
+
+/**
+ * Reads the files in a ZIP archive through its central directory, checking
+ * that each local header agrees with it.
+ * @param {Uint8Array} zip - The archive.
+ * @return {Array<Object>} - The files, each with 'filename', 'content' (a
+ *     Uint8Array), 'crc', 'flags', 'dosTime' and 'dosDate' attributes.
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.length);
+  const decoder = new TextDecoder();
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  assert.equal(position + view.getUint32(end + 12, true), end);
+
+  const files = [];
+  for (let index = 0; index < count; index++) {
+    assert.equal(view.getUint32(position, true), 0x02014B50);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const file = {
+      filename: decoder.decode(
+          zip.subarray(position + 46, position + 46 + nameLength)),
+      flags: view.getUint16(position + 8, true),
+      dosTime: view.getUint16(position + 12, true),
+      dosDate: view.getUint16(position + 14, true),
+      crc: view.getUint32(position + 16, true),
+    };
+    const size = view.getUint32(position + 20, true);
+    position += 46 + nameLength;
+
+    assert.equal(view.getUint32(offset, true), 0x04034B50);
+    assert.equal(view.getUint16(offset + 8, true), 0); // Stored
+    assert.equal(view.getUint32(offset + 14, true), file.crc);
+    assert.equal(view.getUint32(offset + 18, true), size);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    file.content = zip.subarray(dataStart, dataStart + size);
+    files.push(file);
+  }
+  return files;
+}
+
+
+test('files are stored with their names, contents and CRCs', () => {
+  const date = new Date(2024, 2, 15, 13, 45, 31);
+  const zip = createZip([
+    {filename: 'check.txt', content: '123456789'},
+    {filename: 'Über 2×20.fit', content: new Uint8Array([0, 1, 255])},
+    {filename: 'empty.zwo', content: ''},
+  ], date);
+  const files = readZip(zip);
+
+  assert.deepEqual(files.map((file) => file.filename),
+      ['check.txt', 'Über 2×20.fit', 'empty.zwo']);
+  assert.equal(new TextDecoder().decode(files[0].content), '123456789');
+  assert.deepEqual(Array.from(files[1].content), [0, 1, 255]);
+  assert.equal(files[2].content.length, 0);
+  // The standard check value of CRC-32, and the CRC of nothing.
+  assert.equal(files[0].crc, 0xCBF43926);
+  assert.equal(files[2].crc, 0);
+  for (const file of files) {
+    assert.equal(file.flags, 0x0800); // UTF-8 names
+    assert.equal(file.dosTime, (13 << 11) | (45 << 5) | 15);
+    assert.equal(file.dosDate, (44 << 9) | (3 << 5) | 15);
+  }
+});
+
+
+test('an archive without files is just the end record', () => {
+  const zip = createZip([]);
+  assert.equal(zip.length, 22);
+  assert.deepEqual(readZip(zip), []);
+});